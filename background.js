@@ -0,0 +1,110 @@
+// background.js
+// MV3 service worker that runs scheduled auto backups independently of the popup.
+// Schedules a chrome.alarms alarm from the autoBackupEnabled/autoBackupInterval settings and re-checks it on startup.
+// Records the time and result of each run in storage so the Online Backup tab can display it.
+// Also records extension installs, updates, uninstalls and enable/disable changes for the Extensions timeline,
+// and ticks off installs in the reinstall wizard while the popup is closed.
+import { performManualBackup, saveBackupAsStoredCopy } from './components/backup-handler.js';
+import { migrateStoredData } from './components/schema-migrations.js';
+import {
+  recordExtensionInstalled,
+  recordExtensionUninstalled,
+  recordExtensionEnabledChange,
+  reconcileExtensionEventLog
+} from './components/extension-timeline.js';
+import { markReinstalledExtension } from './components/reinstall-wizard.js';
+
+const AUTO_BACKUP_ALARM = 'autoBackup';
+const DEFAULT_AUTO_BACKUP_INTERVAL = 300000; // 5 minutes, matches the popup default
+
+/**
+ * Creates, replaces or clears the auto backup alarm to match the stored settings.
+ * An existing alarm with the same period is left alone so its schedule survives restarts.
+ * @returns {Promise<void>}
+ */
+async function scheduleAutoBackup() {
+  const { autoBackupEnabled, autoBackupInterval } = await new Promise((resolve) =>
+    chrome.storage.local.get(['autoBackupEnabled', 'autoBackupInterval'], resolve)
+  );
+
+  if (!autoBackupEnabled) {
+    await chrome.alarms.clear(AUTO_BACKUP_ALARM);
+    console.log('Auto backup disabled, alarm cleared.');
+    return;
+  }
+
+  // Alarm periods are in minutes, the stored interval is in milliseconds.
+  const periodInMinutes = Number(autoBackupInterval || DEFAULT_AUTO_BACKUP_INTERVAL) / 60000;
+  const existingAlarm = await chrome.alarms.get(AUTO_BACKUP_ALARM);
+  if (existingAlarm && existingAlarm.periodInMinutes === periodInMinutes) {
+    return;
+  }
+
+  await chrome.alarms.clear(AUTO_BACKUP_ALARM);
+  chrome.alarms.create(AUTO_BACKUP_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+  console.log(`Auto backup scheduled every ${periodInMinutes} minute(s).`);
+}
+
+/**
+ * Runs one auto backup and stores the outcome under autoBackupLastRun.
+ * @returns {Promise<void>}
+ */
+async function runAutoBackup() {
+  // The popup records the detected browser name, since browser detection needs a window.
+  const { currentBrowserName } = await new Promise((resolve) =>
+    chrome.storage.local.get(['currentBrowserName'], resolve)
+  );
+
+  const result = await performManualBackup(currentBrowserName || 'Unknown');
+  if (result.success) {
+    // As after a manual backup, the backup becomes the stored copy and the next merge starts from it
+    try {
+      await saveBackupAsStoredCopy(result.backupData, result.liveBookmarks);
+    } catch (error) {
+      console.error('Failed to update importedDataList after auto backup:', error);
+    }
+  }
+  const lastRun = {
+    timestamp: new Date().toISOString(),
+    success: result.success,
+    message: result.message
+  };
+
+  chrome.storage.local.set({ autoBackupLastRun: lastRun }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to record auto backup result:', chrome.runtime.lastError);
+    }
+  });
+}
+
+// Listeners must be registered synchronously so the worker is woken up for them.
+chrome.runtime.onInstalled.addListener(() => {
+  // An update may have changed the backup format, so upgrade the stored copy right away
+  migrateStoredData();
+  scheduleAutoBackup();
+  reconcileExtensionEventLog();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleAutoBackup();
+  // Extensions may have been updated before this worker was listening
+  reconcileExtensionEventLog();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && (changes.autoBackupEnabled || changes.autoBackupInterval)) {
+    scheduleAutoBackup();
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_BACKUP_ALARM) {
+    runAutoBackup();
+  }
+});
+
+chrome.management.onInstalled.addListener(recordExtensionInstalled);
+chrome.management.onInstalled.addListener(markReinstalledExtension);
+chrome.management.onUninstalled.addListener(recordExtensionUninstalled);
+chrome.management.onEnabled.addListener(recordExtensionEnabledChange);
+chrome.management.onDisabled.addListener(recordExtensionEnabledChange);
@@ -0,0 +1,168 @@
+// backup-crypto.js
+// Optional client-side encryption of cloud backups with a user passphrase, using WebCrypto.
+// Derives an AES-GCM key from the passphrase with PBKDF2 and wraps the backup JSON in an encrypted envelope.
+// Detects encrypted envelopes on restore and reports a wrong passphrase or tampered payload with a clear error.
+// Backup Crypto Component
+
+import { readSecret, saveSecret } from './session-secrets.js';
+
+const ENVELOPE_FORMAT = 'extmark-encrypted-backup';
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+export const DECRYPTION_FAILED_MESSAGE = 'Could not decrypt the backup: the passphrase is wrong or the backup has been tampered with.';
+
+/**
+ * Encodes bytes as base64 so they can be stored in JSON.
+ * @param {ArrayBuffer|Uint8Array} buffer - The bytes to encode.
+ * @returns {string}
+ */
+function bytesToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string back into bytes.
+ * @param {string} base64 - The base64 string.
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase with PBKDF2-SHA256.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {Uint8Array} salt - Random salt stored alongside the ciphertext.
+ * @param {number} iterations - PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Checks whether a payload is an encrypted backup envelope.
+ * @param {object} data - The payload received from the backup target.
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(data) {
+  return !!data && typeof data === 'object' && data.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Encrypts backup data into an envelope that can be uploaded in place of the plain JSON.
+ * @param {object} backupData - The backup payload.
+ * @param {string} passphrase - The user's passphrase.
+ * @returns {Promise<object>} The encrypted envelope.
+ */
+export async function encryptBackup(backupData, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(backupData))
+  );
+
+  return {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypts an encrypted backup envelope.
+ * AES-GCM authenticates the ciphertext, so a wrong passphrase and a modified payload both fail here.
+ * @param {object} envelope - The encrypted envelope.
+ * @param {string} passphrase - The user's passphrase.
+ * @returns {Promise<object>} The decrypted backup payload.
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope) || envelope.version !== ENVELOPE_VERSION) {
+    throw new Error('Unsupported encrypted backup format.');
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) },
+      key,
+      base64ToBytes(envelope.ciphertext)
+    );
+  } catch (error) {
+    console.error("Backup decryption failed:", error);
+    throw new Error(DECRYPTION_FAILED_MESSAGE);
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Reads the encryption settings from storage. The passphrase is kept in session storage (cleared when the browser
+ * closes) unless the user chose to remember it, which stores it unencrypted in local storage.
+ * @returns {Promise<{enabled: boolean, passphrase: string, remember: boolean}>}
+ */
+export async function getBackupEncryptionSettings() {
+  const { backupEncryptionEnabled } = await new Promise((resolve) =>
+    chrome.storage.local.get('backupEncryptionEnabled', resolve)
+  );
+  const { value, remember } = await readSecret('backupPassphrase', 'backupRememberPassphrase');
+  return { enabled: !!backupEncryptionEnabled, passphrase: value, remember };
+}
+
+/**
+ * Saves the passphrase for this browser session, or remembered in local storage.
+ * @param {string} passphrase - The passphrase.
+ * @param {boolean} remember - Whether to keep it across browser restarts (stored unencrypted).
+ * @returns {Promise<void>}
+ */
+export function saveBackupPassphrase(passphrase, remember) {
+  return saveSecret('backupPassphrase', 'backupRememberPassphrase', passphrase, remember);
+}
+
+/**
+ * Returns the payload to upload: encrypted when encryption is enabled, otherwise the data as is.
+ * @param {object} backupData - The backup payload.
+ * @returns {Promise<object>}
+ */
+export async function prepareBackupPayload(backupData) {
+  const { enabled, passphrase } = await getBackupEncryptionSettings();
+  if (!enabled) {
+    return backupData;
+  }
+  if (!passphrase) {
+    throw new Error("Backup encryption is enabled but no passphrase is available. Save the passphrase in the Backup tab again (it is forgotten when the browser closes unless you choose to remember it).");
+  }
+  return encryptBackup(backupData, passphrase);
+}
@@ -1,9 +1,19 @@
 // backup-feature.js
-// Handles backup and restore operations for browser extensions and bookmarks using the Pantry cloud service.
-// Manages user input for Pantry ID, triggers manual backups, merges live and stored data, and restores data from Pantry.
+// Handles the Backup tab UI for backing up and restoring browser extensions and bookmarks through the configured backup provider.
+// Manages user input for the Pantry ID, triggers manual backups, lists snapshots, and restores data from the provider.
 // Provides UI feedback for backup/restore status and updates local storage to keep extension and bookmark data synchronized.
 // components/backup-feature.js
-import { SCHEMA_VERSION, getStoredData, mergeExtensionLists, mergeBookmarkTrees } from './data-handler.js'; // Import getStoredData, mergeExtensionLists, mergeBookmarkTrees
+import { performManualBackup as performBackup, saveBackupAsStoredCopy } from './backup-handler.js';
+import { getBackupProvider, isBackupProviderConfigured, DEFAULT_BACKUP_PROVIDER } from './backup-providers.js';
+import { createWebdavProvider } from './webdav-provider.js';
+import { readSecret, saveSecret, setSecretRemembered } from './session-secrets.js';
+import { loadBackupSnapshot, listBackupSnapshots, getSnapshotRetention } from './backup-snapshots.js';
+import { migrateBackupData } from './schema-migrations.js';
+import { validateBackupData, confirmValidationReport } from './backup-validator.js';
+import { clearBookmarkMergeBase } from './bookmark-merge.js';
+import { importExtensionProfiles } from './extension-profiles.js';
+import { offerSavedEnabledStates } from './extension-metadata.js';
+import { isEncryptedBackup, decryptBackup, getBackupEncryptionSettings, saveBackupPassphrase, DECRYPTION_FAILED_MESSAGE } from './backup-crypto.js';
 
 /**
  * Saves the Pantry ID to local storage.
@@ -29,7 +39,7 @@ function savePantryId(pantryIdInput, savePantryIdButton) {
 }
 
 /**
- * Performs the manual backup process to Pantry.
+ * Performs the manual backup process to the configured backup provider.
  * @param {HTMLButtonElement} manualBackupButton - The button to trigger the backup.
  * @param {string} currentBrowserName - The name of the current browser.
  */
@@ -61,92 +71,16 @@ async function performManualBackup(manualBackupButton, currentBrowserName) {
   }
 
   try {
-    // 1. Get Pantry ID
-    const { pantryId } = await new Promise((resolve) => chrome.storage.local.get(['pantryId'], resolve));
-
-    if (!pantryId) {
-      throw new Error("Pantry ID not set. Please save your Pantry ID first in the Backup tab.");
+    // 1. Build the backup and upload it through the configured provider
+    const backupResult = await performBackup(currentBrowserName);
+    if (!backupResult.success) {
+      throw new Error(backupResult.message);
     }
+    const { backupData, liveBookmarks } = backupResult;
+    const extensionsToBackup = backupData.extensions;
+    const mergedBookmarks = backupData.bookmarks;
 
-    // 2. Get Data to Backup (Using Stored Stored Data and Live Install)
-    const storedData = await getStoredData();
-
-    // Fetch live installed extensions to ensure backup includes any extensions
-    // that may have been installed or uninstalled since the last backup.
-    let installedRaw = [];
-    if (chrome.management && chrome.management.getAll) {
-        try {
-            installedRaw = await new Promise((resolve, reject) => {
-                chrome.management.getAll(items =>
-                    chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items)
-                );
-            });
-        } catch (err) {
-            console.warn("Could not fetch installed extensions:", err);
-        }
-    }
-    // Normalize extension data for backup (only relevant fields).
-    const installedExtensions = Array.isArray(installedRaw)
-        ? installedRaw.map(item => ({
-            id: item.id,
-            name: item.name,
-            homepageUrl: item.homepageUrl,
-            updateUrl: item.updateUrl
-        }))
-        : [];
-
-    // Merge stored extensions with live installed list to ensure backup
-    // contains both previously stored and currently installed extensions.
-    // This helps preserve uninstalled extensions in the backup history.
-    const extensionsToBackup = mergeExtensionLists(storedData?.extensions || [], installedExtensions);
-
-    // Get live bookmark tree from the browser.
-    const bookmarkTree = await new Promise((resolve, reject) => {
-        if (typeof chrome === 'undefined' || !chrome.bookmarks || !chrome.bookmarks.getTree) {
-            console.warn("Bookmark API not available, backing up empty bookmark list.");
-            return resolve([]);
-        }
-        chrome.bookmarks.getTree(items => {
-            if (chrome.runtime.lastError) {
-                console.error("Error getting bookmark tree for backup:", chrome.runtime.lastError);
-                return resolve([]); // Backup empty list on error
-            }
-            resolve(items);
-        });
-    });
-
-    // Merge stored bookmarks with live list to ensure backup includes
-    // all bookmarks, even those that may have been deleted or added since last backup.
-    const mergedBookmarks = mergeBookmarkTrees(storedData?.bookmarks || [], bookmarkTree);
-
-    const backupData = {
-      schemaVersion: storedData?.schemaVersion || SCHEMA_VERSION, // Use stored version or default
-      exportedTimestamp: new Date().toISOString(), // Fresh timestamp
-      exportedFromBrowser: currentBrowserName,
-      extensions: extensionsToBackup, // Use the consolidated list from storage
-      bookmarks: mergedBookmarks // Use merged bookmarks list
-    };
-
-    // 3. Pantry API Call
-    const pantryUrl = `https://getpantry.cloud/apiv1/pantry/${pantryId}/basket/extensionBackup`;
-    const response = await fetch(pantryUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(backupData)
-    });
-
-    // 4. Handle Response
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Pantry API Error (${response.status}): ${errorText || response.statusText}`);
-    }
-
-    const responseText = await response.text();
-    console.log('Pantry Backup Response:', responseText);
-
-    // 5. Compare with previous backup and show summary.
+    // 2. Compare with previous backup and show summary.
     // This provides the user with feedback on what changed since the last backup.
     chrome.storage.local.get(['importedDataList'], (result) => {
         const prevData = result.importedDataList || {};
@@ -183,17 +117,16 @@ async function performManualBackup(manualBackupButton, currentBrowserName) {
         }, 2000);
         // After showing the summary, update importedDataList in storage to reflect the latest backup.
         // This ensures that future diffs and restores use the most recent backup data.
-        chrome.storage.local.set({ importedDataList: backupData }, () => {
-            if (chrome.runtime.lastError) {
-                console.error("Failed to update importedDataList after backup:", chrome.runtime.lastError);
-            }
+        saveBackupAsStoredCopy(backupData, liveBookmarks).catch(err => {
+            console.error("Failed to update importedDataList after backup:", err);
         });
     });
 
   } catch (error) {
       // Handle any errors during the backup process, including user feedback and UI updates.
+      // performBackup already prefixes its message with "Backup failed:" and a pointer to the console.
       console.error("Backup failed:", error);
-      alert(`Backup failed: ${error.message}. Check the extension console (right-click popup -> Inspect) for more details.`);
+      alert(error.message);
       manualBackupButton.textContent = 'Backup Failed!';
       setTimeout(() => {
           manualBackupButton.textContent = buttonOriginalText;
@@ -202,7 +135,7 @@ async function performManualBackup(manualBackupButton, currentBrowserName) {
       // Also show error in backup-status
       const statusElem = document.getElementById('backup-status');
       if (statusElem) {
-          statusElem.textContent = `Backup failed: ${error.message}`;
+          statusElem.textContent = error.message;
           statusElem.style.color = '#b91c1c';
           statusElem.style.fontWeight = 'bold';
           statusElem.style.marginTop = '10px';
@@ -210,83 +143,370 @@ async function performManualBackup(manualBackupButton, currentBrowserName) {
   }
 }
 
+/**
+ * Shows a message in the backup status line.
+ * @param {string} message - The message to show.
+ * @param {boolean} isError - Whether to style it as an error.
+ */
+function showBackupStatus(message, isError) {
+  const statusElem = document.getElementById('backup-status');
+  if (statusElem) {
+    statusElem.textContent = message;
+    statusElem.style.color = isError ? '#b91c1c' : '#1a7f37';
+    statusElem.style.fontWeight = 'bold';
+    statusElem.style.marginTop = '10px';
+  }
+}
+
+/**
+ * Initializes the backup target select, showing only the selected provider's settings.
+ * @param {HTMLSelectElement} providerSelect - The select listing the backup providers.
+ * @param {NodeListOf<HTMLElement>} providerSettingsSections - Elements with a data-provider attribute.
+ */
+export function initializeBackupProviderSelect(providerSelect, providerSettingsSections) {
+  const showProviderSettings = (providerId) => {
+    providerSettingsSections.forEach(section => {
+      section.classList.toggle('hidden', section.dataset.provider !== providerId);
+    });
+  };
+
+  chrome.storage.local.get(['backupProvider'], (result) => {
+    providerSelect.value = result.backupProvider || DEFAULT_BACKUP_PROVIDER;
+    showProviderSettings(providerSelect.value);
+  });
+
+  providerSelect.addEventListener('change', () => {
+    showProviderSettings(providerSelect.value);
+    chrome.storage.local.set({ backupProvider: providerSelect.value });
+  });
+}
+
+/**
+ * Initializes the WebDAV settings form. Saving asks for access to the server's origin,
+ * stores the settings and checks them by creating the remote folder if it is missing.
+ * The app password is kept for the browser session unless the user chooses to remember it.
+ * @param {object} webdavControls
+ * @param {HTMLInputElement} webdavControls.urlInput - The server URL input.
+ * @param {HTMLInputElement} webdavControls.usernameInput - The username input.
+ * @param {HTMLInputElement} webdavControls.passwordInput - The app password input.
+ * @param {HTMLInputElement} webdavControls.pathInput - The remote folder input.
+ * @param {HTMLButtonElement} webdavControls.saveButton - The Save & Test button.
+ * @param {HTMLInputElement} [webdavControls.rememberToggle] - The checkbox to remember the app password on this device.
+ */
+export function initializeWebdavSettings({ urlInput, usernameInput, passwordInput, pathInput, saveButton, rememberToggle }) {
+  chrome.storage.local.get(['webdavUrl', 'webdavUsername', 'webdavPath'], (result) => {
+    urlInput.value = result.webdavUrl || '';
+    usernameInput.value = result.webdavUsername || '';
+    pathInput.value = result.webdavPath || '';
+  });
+  readSecret('webdavPassword', 'webdavRememberPassword').then(({ value, remember }) => {
+    passwordInput.value = value;
+    if (rememberToggle) rememberToggle.checked = remember;
+  });
+
+  if (rememberToggle) {
+    rememberToggle.addEventListener('change', () => {
+      setSecretRemembered('webdavPassword', 'webdavRememberPassword', rememberToggle.checked);
+    });
+  }
+
+  saveButton.addEventListener('click', async () => {
+    const settings = {
+      webdavUrl: urlInput.value.trim(),
+      webdavUsername: usernameInput.value.trim(),
+      webdavPassword: passwordInput.value,
+      webdavPath: pathInput.value.trim()
+    };
+
+    let origin;
+    try {
+      const parsedUrl = new URL(settings.webdavUrl);
+      if (!['https:', 'http:'].includes(parsedUrl.protocol)) throw new Error('Unsupported protocol');
+      origin = parsedUrl.origin;
+    } catch (e) {
+      alert('Please enter a valid http(s) WebDAV server URL.');
+      return;
+    }
+    if (!settings.webdavUsername || !settings.webdavPassword) {
+      alert('Please enter the WebDAV username and app password.');
+      return;
+    }
+
+    // Must be requested directly from the click, before any other await
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      showBackupStatus(`Access to ${origin} was not granted, so backups cannot reach the WebDAV server.`, true);
+      return;
+    }
+
+    const originalText = saveButton.textContent;
+    saveButton.disabled = true;
+    saveButton.textContent = 'Testing...';
+    try {
+      const { webdavPassword, ...localSettings } = settings;
+      await chrome.storage.local.set(localSettings);
+      await saveSecret('webdavPassword', 'webdavRememberPassword', webdavPassword, !!(rememberToggle && rememberToggle.checked));
+      await createWebdavProvider({
+        serverUrl: settings.webdavUrl,
+        username: settings.webdavUsername,
+        password: settings.webdavPassword,
+        remotePath: settings.webdavPath
+      }).testConnection();
+      showBackupStatus('WebDAV settings saved. Connection successful.', false);
+    } catch (error) {
+      console.error("WebDAV connection test failed:", error);
+      showBackupStatus(`WebDAV settings saved, but the connection test failed: ${error.message}`, true);
+    } finally {
+      saveButton.textContent = originalText;
+      saveButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Initializes the backup encryption controls.
+ * The passphrase is kept for the browser session so auto backups can encrypt without asking, and only stored
+ * across restarts (unencrypted, in local storage) if the user opts in; it is never uploaded.
+ * @param {HTMLInputElement} encryptionToggle - The checkbox enabling encryption.
+ * @param {HTMLInputElement} passphraseInput - The passphrase input.
+ * @param {HTMLButtonElement} savePassphraseButton - The button to save the passphrase.
+ * @param {HTMLInputElement} [rememberToggle] - The checkbox to remember the passphrase on this device.
+ */
+export function initializeBackupEncryption(encryptionToggle, passphraseInput, savePassphraseButton, rememberToggle) {
+  getBackupEncryptionSettings().then(({ enabled, passphrase, remember }) => {
+    encryptionToggle.checked = enabled;
+    passphraseInput.value = passphrase;
+    if (rememberToggle) rememberToggle.checked = remember;
+  });
+
+  encryptionToggle.addEventListener('change', async () => {
+    const { passphrase } = await getBackupEncryptionSettings();
+    if (encryptionToggle.checked && !passphrase) {
+      alert('Please save a passphrase before enabling backup encryption.');
+      encryptionToggle.checked = false;
+      return;
+    }
+    chrome.storage.local.set({ backupEncryptionEnabled: encryptionToggle.checked });
+  });
+
+  // Moves an already saved passphrase to where the new choice keeps it
+  if (rememberToggle) {
+    rememberToggle.addEventListener('change', () => {
+      setSecretRemembered('backupPassphrase', 'backupRememberPassphrase', rememberToggle.checked);
+    });
+  }
+
+  savePassphraseButton.addEventListener('click', async () => {
+    const passphrase = passphraseInput.value;
+    if (passphrase.length < 8) {
+      alert('Please enter a passphrase of at least 8 characters.');
+      return;
+    }
+    await saveBackupPassphrase(passphrase, !!(rememberToggle && rememberToggle.checked));
+    const originalText = savePassphraseButton.textContent;
+    savePassphraseButton.textContent = 'Saved!';
+    savePassphraseButton.disabled = true;
+    setTimeout(() => {
+      savePassphraseButton.textContent = originalText;
+      savePassphraseButton.disabled = false;
+    }, 1500);
+  });
+}
+
+/**
+ * Lists the snapshots available in the backup provider, each with its counts and a Restore button.
+ * @param {HTMLUListElement} snapshotList - The list element to fill.
+ * @param {Function} onRestoreSnapshot - Called with (button, snapshotName) when a snapshot's Restore button is clicked.
+ */
+export async function displaySnapshotList(snapshotList, onRestoreSnapshot) {
+  snapshotList.innerHTML = '<li class="loading-text">Loading snapshots...</li>';
+
+  try {
+    if (!await isBackupProviderConfigured()) {
+      snapshotList.innerHTML = '<li class="empty-text">Configure a backup target to see your backup snapshots.</li>';
+      return;
+    }
+
+    const snapshots = await listBackupSnapshots(await getBackupProvider());
+    if (snapshots.length === 0) {
+      snapshotList.innerHTML = '<li class="empty-text">No snapshots yet. Run a backup to create one.</li>';
+      return;
+    }
+
+    snapshotList.innerHTML = '';
+    snapshots.forEach(snapshot => {
+      const listItem = document.createElement('li');
+      listItem.classList.add('snapshot-item');
+
+      const info = document.createElement('div');
+      info.classList.add('snapshot-info');
+      const date = document.createElement('strong');
+      date.textContent = new Date(snapshot.timestamp).toLocaleString();
+      if (snapshot.encrypted) {
+        date.title = 'Encrypted with your passphrase';
+        date.textContent += ' \u{1F512}';
+      }
+      const details = document.createElement('span');
+      details.classList.add('snapshot-details');
+      details.textContent =
+        `${snapshot.extensionCount} extension${snapshot.extensionCount !== 1 ? 's' : ''}, ` +
+        `${snapshot.bookmarkCount} bookmark${snapshot.bookmarkCount !== 1 ? 's' : ''} ` +
+        `(${snapshot.exportedFromBrowser})`;
+      info.appendChild(date);
+      info.appendChild(details);
+
+      const restoreButton = document.createElement('button');
+      restoreButton.classList.add('button', 'button-primary', 'snapshot-restore-button');
+      restoreButton.textContent = 'Restore';
+      restoreButton.title = `Restore the snapshot from ${date.textContent}`;
+      restoreButton.addEventListener('click', () => {
+        if (confirm(`Restore the backup snapshot from ${date.textContent}?`)) {
+          onRestoreSnapshot(restoreButton, snapshot.name);
+        }
+      });
+
+      listItem.appendChild(info);
+      listItem.appendChild(restoreButton);
+      snapshotList.appendChild(listItem);
+    });
+  } catch (error) {
+    console.error("Could not list backup snapshots:", error);
+    snapshotList.innerHTML = '';
+    const errorItem = document.createElement('li');
+    errorItem.classList.add('error-text');
+    errorItem.textContent = `Could not load snapshots: ${error.message}`;
+    snapshotList.appendChild(errorItem);
+  }
+}
+
 /**
  * Initializes the backup feature elements and event listeners.
  * @param {HTMLInputElement} pantryIdInput - The input element for the Pantry ID.
  * @param {HTMLButtonElement} savePantryIdButton - The button to trigger saving the ID.
  * @param {HTMLButtonElement} manualBackupButton - The button to trigger the manual backup.
  * @param {string} currentBrowserName - The name of the current browser.
+ * @param {object} [snapshotControls] - Optional snapshot UI elements.
+ * @param {HTMLUListElement} [snapshotControls.snapshotList] - The list showing available snapshots.
+ * @param {HTMLButtonElement} [snapshotControls.refreshButton] - The button to reload the snapshot list.
+ * @param {HTMLSelectElement} [snapshotControls.retentionSelect] - The retention policy select.
+ * @param {Function} [snapshotControls.onRestoreSnapshot] - Called with (button, snapshotName) to restore a snapshot.
  */
-export function initializeBackupFeature(pantryIdInput, savePantryIdButton, manualBackupButton, currentBrowserName) {
+export function initializeBackupFeature(pantryIdInput, savePantryIdButton, manualBackupButton, currentBrowserName, snapshotControls = {}) {
+  const { snapshotList, refreshButton, retentionSelect, onRestoreSnapshot } = snapshotControls;
+  const refreshSnapshotList = () => {
+    if (snapshotList && typeof onRestoreSnapshot === 'function') {
+      displaySnapshotList(snapshotList, onRestoreSnapshot);
+    }
+  };
+
   // Load Pantry ID on startup
   chrome.storage.local.get(['pantryId'], function(result) {
     if (result.pantryId) {
       pantryIdInput.value = result.pantryId;
     }
+    refreshSnapshotList();
   });
 
+  // Load retention policy on startup
+  if (retentionSelect) {
+    getSnapshotRetention().then(retention => {
+      retentionSelect.value = retention;
+    });
+    retentionSelect.addEventListener('change', () => {
+      chrome.storage.local.set({ snapshotRetention: retentionSelect.value });
+    });
+  }
+
   // Event Listeners
   savePantryIdButton.addEventListener('click', () => {
     savePantryId(pantryIdInput, savePantryIdButton);
   });
 
-  manualBackupButton.addEventListener('click', () => {
-    performManualBackup(manualBackupButton, currentBrowserName);
+  manualBackupButton.addEventListener('click', async () => {
+    await performManualBackup(manualBackupButton, currentBrowserName);
+    refreshSnapshotList();
+  });
+
+  if (refreshButton) {
+    refreshButton.addEventListener('click', refreshSnapshotList);
+  }
+
+  // Refresh the list when the backup target changes or an auto backup adds a snapshot
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.pantryId || changes.backupProvider || changes.webdavUrl || changes.webdavPath || changes.autoBackupLastRun)) {
+      refreshSnapshotList();
+    }
   });
 }
 /**
- * Fetches data from Pantry, saves it to local storage, and triggers UI update.
+ * Decrypts an encrypted backup envelope, trying the saved passphrase first and
+ * asking the user for one if none is saved or it does not match.
+ * @param {object} envelope - The encrypted backup envelope.
+ * @returns {Promise<object>} The decrypted backup data.
+ */
+async function decryptRestoredBackup(envelope) {
+  const { passphrase: savedPassphrase } = await getBackupEncryptionSettings();
+  if (savedPassphrase) {
+    try {
+      return await decryptBackup(envelope, savedPassphrase);
+    } catch (error) {
+      if (error.message !== DECRYPTION_FAILED_MESSAGE) throw error;
+      console.warn("Saved passphrase did not decrypt this backup, asking the user.");
+    }
+  }
+
+  const passphrase = prompt('This backup is encrypted. Enter the passphrase it was created with:');
+  if (!passphrase) {
+    throw new Error("A passphrase is required to restore this encrypted backup.");
+  }
+  return decryptBackup(envelope, passphrase);
+}
+
+/**
+ * Fetches a backup from the configured provider, saves it to local storage, and triggers UI update.
  * @param {HTMLButtonElement} restoreButton - The button that triggered the restore.
  * @param {Function} successCallback - Function to call after data is successfully saved to storage.
+ * @param {string} [snapshotName] - The snapshot to restore; defaults to the newest one.
  */
-export async function performPantryRestore(restoreButton, successCallback) {
+export async function performBackupRestore(restoreButton, successCallback, snapshotName) {
   const buttonOriginalText = restoreButton.textContent;
   restoreButton.disabled = true;
   restoreButton.textContent = 'Restoring...';
 
   try {
-    // 1. Get Pantry ID
-    const { pantryId } = await new Promise((resolve, reject) => {
-        chrome.storage.local.get(['pantryId'], result => {
-            if (chrome.runtime.lastError) {
-                return reject(chrome.runtime.lastError);
-            }
-            resolve(result);
-        });
-    });
-
-    if (!pantryId) {
-      throw new Error("Pantry ID not set. Please save your Pantry ID first in the Backup tab.");
-    }
+    // 1. Resolve the backup target (throws if it is not configured)
+    const provider = await getBackupProvider();
 
-    // 2. Pantry API Call (GET)
-    const pantryUrl = `https://getpantry.cloud/apiv1/pantry/${pantryId}/basket/extensionBackup`;
-    const response = await fetch(pantryUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json' // Important for Pantry GET
-      }
-    });
+    // 2. Fetch the chosen snapshot (or the newest one)
+    let restoredData = await loadBackupSnapshot(provider, snapshotName);
 
-    // 3. Handle Response
-    if (!response.ok) {
-      // Handle cases like 404 Not Found (basket doesn't exist) or other errors
-      const errorText = await response.text();
-      throw new Error(`Pantry API Error (${response.status}): ${errorText || response.statusText}`);
+    // 3. Decrypt if the snapshot was uploaded encrypted
+    if (isEncryptedBackup(restoredData)) {
+      restoredData = await decryptRestoredBackup(restoredData);
     }
 
-    const restoredData = await response.json();
-
-    // Basic validation
+    // 4. Basic validation, then upgrade older backups to the current format
     if (typeof restoredData !== 'object' || restoredData === null) {
-        throw new Error("Invalid data received from Pantry: Not an object.");
+        throw new Error("Invalid backup data received: Not an object.");
     }
-     // Optional: Check for expected keys like extensions or bookmarks if needed
-     // if (!restoredData.extensions &amp;&amp; !restoredData.bookmarks) {
-     //   console.warn("Restored data doesn't contain 'extensions' or 'bookmarks' keys.");
-     // }
+    restoredData = migrateBackupData(restoredData);
+
+    // 4b. Strict validation; the user may restore the valid subset or cancel
+    const report = validateBackupData(restoredData);
+    if (!report.valid) {
+      console.warn("Backup contains invalid entries:", report.errors);
+      if (!(await confirmValidationReport(report, 'restore'))) {
+        console.log("Restore cancelled by user.");
+        restoreButton.textContent = buttonOriginalText;
+        restoreButton.disabled = false;
+        return;
+      }
+    }
+    // Profiles are kept in their own storage key rather than in importedDataList
+    const { profiles: restoredProfiles, ...validData } = report.validData;
+    restoredData = validData;
 
-    // 4. Save to Local Storage
+    // 5. Save to Local Storage
     await new Promise((resolve, reject) => {
         chrome.storage.local.set({ importedDataList: restoredData }, () => {
             if (chrome.runtime.lastError) {
@@ -296,13 +516,23 @@ export async function performPantryRestore(restoreButton, successCallback) {
             resolve();
         });
     });
+    // The stored bookmarks were replaced, so the next merge starts from a fresh sync point
+    await clearBookmarkMergeBase();
+    await importExtensionProfiles(restoredProfiles);
+
+    // 5b. Offer to put installed extensions back in the state saved in the backup
+    try {
+      await offerSavedEnabledStates(restoredData.extensions);
+    } catch (error) {
+      console.error("Could not reapply saved extension states:", error);
+    }
 
-    // 5. Trigger UI Update via Callback
+    // 6. Trigger UI Update via Callback
     if (typeof successCallback === 'function') {
       successCallback();
     }
 
-    // 6. Visual Feedback (Success)
+    // 7. Visual Feedback (Success)
     restoreButton.textContent = 'Restored!';
     setTimeout(() => {
        restoreButton.textContent = buttonOriginalText;
@@ -310,7 +540,7 @@ export async function performPantryRestore(restoreButton, successCallback) {
     }, 2000);
 
   } catch (error) {
-    console.error("Pantry restore failed:", error);
+    console.error("Backup restore failed:", error);
     alert(`Restore failed: ${error.message}. Check the console for details.`);
     // Visual Feedback (Failure)
     restoreButton.textContent = 'Restore Failed!';
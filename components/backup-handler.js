@@ -1,84 +1,110 @@
 // backup-handler.js
-// Provides the core logic for manually backing up browser extensions and bookmarks to the Pantry cloud service.
-// Collects extension and bookmark data, formats it, and sends it to Pantry using the API.
+// Provides the core logic for backing up browser extensions and bookmarks to the configured backup provider.
+// Builds the backup payload (stored history merged with live data) in one place for manual and auto backups.
 // Returns status objects for UI feedback and handles errors for robust backup operations.
 
-import { getStoreUrl } from './extension-display.js';
-import { SCHEMA_VERSION } from './data-handler.js';
+import { SCHEMA_VERSION, getStoredData, mergeExtensionLists } from './data-handler.js';
+import { mergeBookmarkTrees, getBookmarkMergeBase, saveBookmarkMergeBase } from './bookmark-merge.js';
+import { getBackupProvider } from './backup-providers.js';
+import { saveBackupSnapshot } from './backup-snapshots.js';
+import { getExtensionProfiles } from './extension-profiles.js';
+import { getInstalledExtensionRecords } from './extension-metadata.js';
 
 /**
- * Performs a manual backup to the configured Pantry ID.
+ * Builds the data for a backup: stored extensions and bookmarks merged with the live browser state.
+ * Merging with storage preserves uninstalled extensions in the backup history; bookmarks are merged three-way, so deletions made in the browser stay deleted.
  * @param {string} currentBrowserName - The name of the current browser.
- * @returns {Promise<{success: boolean, message: string}>} - Object indicating success status and a message.
+ * @returns {Promise<{backupData: object, liveBookmarks: Array<object>}>} The backup payload, and the live bookmark tree
+ *   it was merged against (the merge base to record when the payload becomes the stored copy).
  */
-export async function performManualBackup(currentBrowserName) {
+export async function buildBackupData(currentBrowserName) {
+  const storedData = await getStoredData();
+
+  // Fetch live installed extensions to ensure backup includes any extensions
+  // that may have been installed or uninstalled since the last backup.
+  // Only actual extensions (not themes/apps), with version, state and icon.
+  let installedExtensions = [];
   try {
-    // 1. Get Pantry ID
-    const { pantryId } = await new Promise((resolve) => chrome.storage.local.get(['pantryId'], resolve));
+    installedExtensions = await getInstalledExtensionRecords(storedData?.extensions);
+  } catch (err) {
+    console.warn("Could not fetch installed extensions:", err);
+  }
 
-    if (!pantryId) {
-      // Return an error object instead of throwing, so popup.js can handle UI
-      return { success: false, message: "Pantry ID not set. Please save your Pantry ID first in the Backup tab." };
+  const extensionsToBackup = mergeExtensionLists(storedData?.extensions || [], installedExtensions);
+
+  // Get live bookmark tree from the browser.
+  const bookmarkTree = await new Promise((resolve) => {
+    if (typeof chrome === 'undefined' || !chrome.bookmarks || !chrome.bookmarks.getTree) {
+      console.warn("Bookmark API not available, backing up empty bookmark list.");
+      return resolve([]);
     }
+    chrome.bookmarks.getTree(items => {
+      if (chrome.runtime.lastError) {
+        console.error("Error getting bookmark tree for backup:", chrome.runtime.lastError);
+        return resolve([]); // Backup empty list on error
+      }
+      resolve(items);
+    });
+  });
 
-    // 2. Get Data to Backup
-    // Fetch extensions and bookmarks in parallel for efficiency.
-    const [extensions, bookmarkTree] = await Promise.all([
-      new Promise((resolve, reject) => {
-        if (typeof chrome === 'undefined' || !chrome.management || !chrome.management.getAll) return resolve([]);
-        chrome.management.getAll(items => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items));
-      }),
-      new Promise((resolve, reject) => {
-        if (typeof chrome === 'undefined' || !chrome.bookmarks || !chrome.bookmarks.getTree) return resolve([]);
-        chrome.bookmarks.getTree(items => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items));
-      })
-    ]);
+  const mergeBase = await getBookmarkMergeBase();
+  const { bookmarks: mergedBookmarks, conflicts } = mergeBookmarkTrees(mergeBase || [], storedData?.bookmarks || [], bookmarkTree);
+  if (conflicts.length) {
+    console.warn("Bookmark merge conflicts in backup:", conflicts);
+  }
 
-    // Only include actual extensions (not themes/apps), and normalize fields for backup.
-    // The storeUrl is derived to allow users to easily reinstall from the correct store.
-    const exportableExtensions = extensions
-      .filter(ext => ext.type === 'extension')
-      .map(ext => ({
-        id: ext.id,
-        name: ext.name,
-        homepageUrl: ext.homepageUrl || null,
-        updateUrl: ext.updateUrl || null,
-        storeUrl: getStoreUrl(ext, currentBrowserName)
-      }));
+  const backupData = {
+    schemaVersion: SCHEMA_VERSION, // Stored data is migrated to the current version on load
+    exportedTimestamp: new Date().toISOString(), // Fresh timestamp
+    exportedFromBrowser: currentBrowserName,
+    extensions: extensionsToBackup,
+    bookmarks: mergedBookmarks,
+    profiles: await getExtensionProfiles()
+  };
+  return { backupData, liveBookmarks: bookmarkTree };
+}
+
+/**
+ * Makes a backup the stored copy (importedDataList) and records the live tree it was merged against as the
+ * merge base. Without the new base, the next merge would treat bookmarks deleted in the browser since the
+ * previous sync as still kept in the stored copy and bring them back.
+ * @param {object} backupData - The backup payload from buildBackupData.
+ * @param {Array<object>} liveBookmarks - The live bookmark tree from buildBackupData.
+ * @returns {Promise<void>}
+ */
+export async function saveBackupAsStoredCopy(backupData, liveBookmarks) {
+  await new Promise((resolve, reject) => {
+    chrome.storage.local.set({ importedDataList: backupData }, () =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve()
+    );
+  });
+  await saveBookmarkMergeBase(liveBookmarks);
+}
 
-    const backupData = {
-      schemaVersion: SCHEMA_VERSION,
-      exportedTimestamp: new Date().toISOString(),
-      exportedFromBrowser: currentBrowserName,
-      extensions: exportableExtensions,
-      bookmarks: bookmarkTree
-    };
+/**
+ * Performs a backup to the configured backup provider as a new snapshot.
+ * Used by both the Manual Backup button and the background auto backup.
+ * @param {string} currentBrowserName - The name of the current browser.
+ * @returns {Promise<{success: boolean, message: string, backupData?: object, liveBookmarks?: Array<object>, snapshot?: object}>} - Object indicating success status and a message.
+ */
+export async function performManualBackup(currentBrowserName) {
+  try {
+    // 1. Resolve the backup target (throws if it is not configured)
+    const provider = await getBackupProvider();
 
-    // 3. Pantry API Call
-    const pantryUrl = `https://getpantry.cloud/apiv1/pantry/${pantryId}/basket/extensionBackup`;
-    const response = await fetch(pantryUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(backupData)
-    });
+    // 2. Get Data to Backup
+    const { backupData, liveBookmarks } = await buildBackupData(currentBrowserName);
 
-    // 4. Handle Response
-    if (!response.ok) {
-      const errorText = await response.text();
-      // Throw here because it's an unexpected API/network error during fetch
-      throw new Error(`Pantry API Error (${response.status}): ${errorText || response.statusText}`);
-    }
+    // 3. Upload as a new snapshot (older snapshots are pruned per the retention policy)
+    const snapshot = await saveBackupSnapshot(provider, backupData);
+    console.log(`${provider.name} snapshot saved:`, snapshot.name);
 
-    const responseText = await response.text(); // Pantry returns a confirmation message
-    console.log('Pantry Backup Response:', responseText);
-    return { success: true, message: 'Backup Successful!' };
+    return { success: true, message: 'Backup Successful!', backupData, liveBookmarks, snapshot };
 
   } catch (error) {
     console.error("Backup failed:", error); // Log the detailed error
-    // Return an error object for popup.js to handle UI feedback gracefully,
+    // Return an error object for the UI to handle feedback gracefully,
     // instead of throwing and breaking the user flow.
     return { success: false, message: `Backup failed: ${error.message}. Check the extension console (right-click popup -> Inspect) for more details.` };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,92 @@
+// backup-providers.js
+// Registry of backup targets (providers) and the interface they implement.
+// A provider is a simple key/value store for backup documents: save, load, list and delete.
+// Snapshots, retention and encryption are built on top of this interface, so adding a target only means registering a provider here.
+// Backup Providers Component
+import { createPantryProvider } from './pantry-provider.js';
+import { createWebdavProvider } from './webdav-provider.js';
+import { readSecret } from './session-secrets.js';
+
+/**
+ * @typedef {object} BackupProvider
+ * @property {string} id - Registry key of the provider, e.g. 'pantry'.
+ * @property {string} name - Name shown in the UI.
+ * @property {(key: string, data: object) => Promise<void>} save - Stores a JSON document under a key, replacing any previous one.
+ * @property {(key: string) => Promise<object|null>} load - Reads a document, or null if the key does not exist.
+ * @property {() => Promise<Array<string>>} list - Lists the keys of all stored documents.
+ * @property {(key: string) => Promise<void>} delete - Deletes a document; deleting a missing key is not an error.
+ */
+
+export const DEFAULT_BACKUP_PROVIDER = 'pantry';
+
+/**
+ * Registered providers.
+ * - settingsKeys: the chrome.storage.local keys holding the provider's configuration.
+ * - secret: optional {key, rememberKey} of a setting kept for the session unless remembered (see session-secrets.js).
+ * - isConfigured: whether those settings are complete enough to create the provider.
+ * - notConfiguredMessage: shown when a backup or restore is attempted without configuration.
+ * - create: builds a provider instance from the settings.
+ */
+export const BACKUP_PROVIDERS = {
+  pantry: {
+    name: 'Pantry',
+    settingsKeys: ['pantryId'],
+    isConfigured: settings => !!settings.pantryId,
+    notConfiguredMessage: "Pantry ID not set. Please save your Pantry ID first in the Backup tab.",
+    create: settings => createPantryProvider({ pantryId: settings.pantryId })
+  },
+  webdav: {
+    name: 'WebDAV',
+    settingsKeys: ['webdavUrl', 'webdavUsername', 'webdavPath'],
+    secret: { key: 'webdavPassword', rememberKey: 'webdavRememberPassword' },
+    isConfigured: settings => !!(settings.webdavUrl && settings.webdavUsername && settings.webdavPassword),
+    notConfiguredMessage: "WebDAV server or app password not set. Please save the server URL, username and app password in the Backup tab (the password is forgotten when the browser closes unless you choose to remember it).",
+    create: settings => createWebdavProvider({
+      serverUrl: settings.webdavUrl,
+      username: settings.webdavUsername,
+      password: settings.webdavPassword,
+      remotePath: settings.webdavPath || ''
+    })
+  }
+};
+
+/**
+ * Reads the selected provider's registry entry and its settings from storage.
+ * @returns {Promise<{id: string, entry: object, settings: object}>}
+ */
+async function getSelectedProviderSettings() {
+  const { backupProvider } = await new Promise((resolve) =>
+    chrome.storage.local.get(['backupProvider'], resolve)
+  );
+  const id = BACKUP_PROVIDERS[backupProvider] ? backupProvider : DEFAULT_BACKUP_PROVIDER;
+  const entry = BACKUP_PROVIDERS[id];
+  const settings = await new Promise((resolve) =>
+    chrome.storage.local.get(entry.settingsKeys, resolve)
+  );
+  if (entry.secret) {
+    settings[entry.secret.key] = (await readSecret(entry.secret.key, entry.secret.rememberKey)).value;
+  }
+  return { id, entry, settings };
+}
+
+/**
+ * Checks whether the selected provider has the settings it needs.
+ * @returns {Promise<boolean>}
+ */
+export async function isBackupProviderConfigured() {
+  const { entry, settings } = await getSelectedProviderSettings();
+  return entry.isConfigured(settings);
+}
+
+/**
+ * Creates the provider selected in the Backup tab from its stored settings.
+ * @returns {Promise<BackupProvider>}
+ * @throws {Error} If the provider is not configured.
+ */
+export async function getBackupProvider() {
+  const { entry, settings } = await getSelectedProviderSettings();
+  if (!entry.isConfigured(settings)) {
+    throw new Error(entry.notConfiguredMessage);
+  }
+  return entry.create(settings);
+}
@@ -0,0 +1,186 @@
+// backup-snapshots.js
+// Stores each backup as its own timestamped snapshot in the backup provider instead of overwriting a single document.
+// Keeps an index document listing every snapshot with its extension and bookmark counts, used for the snapshot list and restore.
+// Applies the configured retention policy ("keep last N" or "daily for N days") after each backup and deletes pruned snapshots.
+// Backup Snapshots Component
+import { prepareBackupPayload, isEncryptedBackup } from './backup-crypto.js';
+
+// Key that held the single backup before snapshots existed; still read when no snapshots are available.
+export const LEGACY_BACKUP_KEY = 'extensionBackup';
+const SNAPSHOT_INDEX_KEY = 'extensionBackupSnapshots';
+const SNAPSHOT_KEY_PREFIX = 'extensionBackup-';
+export const DEFAULT_SNAPSHOT_RETENTION = 'daily-7';
+
+// Index updates are read-modify-write; they are chained so none overwrites another
+let writeQueue = Promise.resolve();
+
+/**
+ * Counts the bookmarks (nodes with a URL) in a bookmark tree.
+ * @param {Array<object>} nodes - The bookmark tree.
+ * @returns {number}
+ */
+export function countBookmarks(nodes) {
+  if (!Array.isArray(nodes)) return 0;
+  return nodes.reduce((count, node) =>
+    count + (node.url ? 1 : 0) + countBookmarks(node.children), 0);
+}
+
+/**
+ * Returns the local calendar day of a timestamp, used to group snapshots for daily retention.
+ * @param {number} timestamp - Milliseconds since epoch.
+ * @returns {string}
+ */
+function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Decides which snapshots fall outside the retention policy.
+ * - 'last-N' keeps the N newest snapshots.
+ * - 'daily-N' keeps the newest snapshot of each of the last N days.
+ * The newest snapshot is always kept.
+ * @param {Array<{name: string, timestamp: number}>} snapshots - The snapshot index entries.
+ * @param {string} policy - The retention policy, e.g. 'last-10' or 'daily-7'.
+ * @param {number} [now=Date.now()] - Current time, used for daily retention.
+ * @returns {Array<object>} The snapshots to delete.
+ */
+export function selectSnapshotsToPrune(snapshots, policy, now = Date.now()) {
+  const [mode, rawAmount] = String(policy || DEFAULT_SNAPSHOT_RETENTION).split('-');
+  const amount = Math.max(1, parseInt(rawAmount, 10) || 1);
+  const newestFirst = [...snapshots].sort((a, b) => b.timestamp - a.timestamp);
+
+  if (mode === 'daily') {
+    const cutoff = now - amount * 24 * 60 * 60 * 1000;
+    const keptDays = new Set();
+    return newestFirst.filter((snapshot, index) => {
+      const dayKey = getDayKey(snapshot.timestamp);
+      const keep = index === 0 || (snapshot.timestamp >= cutoff && !keptDays.has(dayKey));
+      if (keep) keptDays.add(dayKey);
+      return !keep;
+    });
+  }
+
+  // Default to 'last-N'
+  return newestFirst.slice(amount);
+}
+
+/**
+ * Reads the snapshot retention policy from storage.
+ * @returns {Promise<string>}
+ */
+export async function getSnapshotRetention() {
+  const { snapshotRetention } = await new Promise((resolve) =>
+    chrome.storage.local.get(['snapshotRetention'], resolve)
+  );
+  return snapshotRetention || DEFAULT_SNAPSHOT_RETENTION;
+}
+
+/**
+ * Fetches the list of snapshots stored by a provider, newest first.
+ * Returns an empty list if the index does not exist yet.
+ * @param {import('./backup-providers.js').BackupProvider} provider - The backup provider.
+ * @returns {Promise<Array<{name: string, timestamp: number, exportedFromBrowser: string, extensionCount: number, bookmarkCount: number, encrypted: boolean}>>}
+ */
+export async function listBackupSnapshots(provider) {
+  const index = await provider.load(SNAPSHOT_INDEX_KEY);
+  const snapshots = Array.isArray(index?.snapshots) ? index.snapshots : [];
+  return snapshots.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Reads the snapshot index, changes it and writes it back, one update at a time. The auto backup in the
+ * service worker and a manual backup in the popup run in different contexts, so updates also hold a
+ * Web Lock shared by both; the write queue covers contexts without navigator.locks.
+ * @param {import('./backup-providers.js').BackupProvider} provider - The backup provider.
+ * @param {Function} update - Receives the current snapshots and returns {snapshots, result}.
+ * @returns {Promise<*>} The result returned by update.
+ */
+function updateSnapshotIndex(provider, update) {
+  const task = async () => {
+    const { snapshots, result } = await update(await listBackupSnapshots(provider));
+    await provider.save(SNAPSHOT_INDEX_KEY, { snapshots });
+    return result;
+  };
+  const run = writeQueue.then(() =>
+    typeof navigator !== 'undefined' && navigator.locks ? navigator.locks.request(SNAPSHOT_INDEX_KEY, task) : task()
+  );
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Uploads backup data as a new snapshot, records it in the index and prunes snapshots
+ * that fall outside the retention policy. The data is encrypted first when encryption is enabled.
+ * @param {import('./backup-providers.js').BackupProvider} provider - The backup provider.
+ * @param {object} backupData - The backup payload.
+ * @returns {Promise<object>} The index entry of the new snapshot.
+ */
+export async function saveBackupSnapshot(provider, backupData) {
+  const timestamp = Date.now();
+  const snapshot = {
+    name: `${SNAPSHOT_KEY_PREFIX}${timestamp}`,
+    timestamp,
+    exportedFromBrowser: backupData.exportedFromBrowser || 'Unknown',
+    extensionCount: Array.isArray(backupData.extensions) ? backupData.extensions.length : 0,
+    bookmarkCount: countBookmarks(backupData.bookmarks)
+  };
+
+  // Encrypt before upload if the user enabled it; the index only keeps the counts above
+  const payload = await prepareBackupPayload(backupData);
+  snapshot.encrypted = isEncryptedBackup(payload);
+  await provider.save(snapshot.name, payload);
+
+  // Record the new snapshot, then drop the ones the retention policy no longer covers
+  const retention = await getSnapshotRetention();
+  const toPrune = await updateSnapshotIndex(provider, (existing) => {
+    const snapshots = [snapshot, ...existing];
+    const pruned = selectSnapshotsToPrune(snapshots, retention, timestamp);
+    const pruneNames = new Set(pruned.map(s => s.name));
+    return { snapshots: snapshots.filter(s => !pruneNames.has(s.name)), result: pruned };
+  });
+
+  for (const pruned of toPrune) {
+    try {
+      await provider.delete(pruned.name);
+    } catch (err) {
+      // The index no longer references it, so a leftover document is harmless
+      console.warn(`Could not delete pruned snapshot ${pruned.name}:`, err);
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Fetches the data of one snapshot. Without a name, the newest snapshot is used,
+ * falling back to the legacy single backup if no snapshots exist.
+ * @param {import('./backup-providers.js').BackupProvider} provider - The backup provider.
+ * @param {string} [snapshotName] - The snapshot key.
+ * @returns {Promise<object>} The backup payload, possibly an encrypted envelope.
+ */
+export async function loadBackupSnapshot(provider, snapshotName) {
+  let key = snapshotName;
+  if (!key) {
+    const snapshots = await listBackupSnapshots(provider);
+    key = snapshots.length > 0 ? snapshots[0].name : LEGACY_BACKUP_KEY;
+  }
+
+  const data = await provider.load(key);
+  if (data === null) {
+    throw new Error(snapshotName
+      ? `Backup snapshot "${snapshotName}" was not found in ${provider.name}.`
+      : `No backup found in ${provider.name}.`);
+  }
+  return data;
+}
+
+/**
+ * Deletes a snapshot and removes it from the index.
+ * @param {import('./backup-providers.js').BackupProvider} provider - The backup provider.
+ * @param {string} snapshotName - The snapshot key.
+ */
+export async function deleteBackupSnapshot(provider, snapshotName) {
+  await provider.delete(snapshotName);
+  await updateSnapshotIndex(provider, (snapshots) => ({ snapshots: snapshots.filter(s => s.name !== snapshotName) }));
+}
@@ -0,0 +1,325 @@
+// backup-validator.js
+// Strict structural validation of imported and restored backup payloads before anything is written to storage.
+// Checks extensions, bookmark nodes, timestamps and URL schemes, recording every problem with the path of the entry.
+// Returns the valid subset alongside the report so the user can import only the valid entries or cancel.
+// Backup Validator Component
+
+import { showDialog } from './dialog.js';
+import { countBookmarks } from './backup-snapshots.js';
+
+// Schemes a stored bookmark may use. Bookmarklets (javascript:), data: URLs and Firefox place: queries come from
+// the user's own backups and HTML exports too; the popup renders the ones it cannot open without a link.
+const ALLOWED_BOOKMARK_SCHEMES = [
+  'http:', 'https:', 'ftp:', 'file:', 'about:', 'view-source:', 'javascript:', 'data:', 'place:', 'mailto:',
+  'chrome:', 'chrome-extension:', 'edge:', 'brave:', 'opera:', 'vivaldi:', 'moz-extension:'
+];
+const ALLOWED_EXTENSION_URL_SCHEMES = ['http:', 'https:'];
+const ALLOWED_OPTIONS_URL_SCHEMES = ['chrome-extension:'];
+const EXTENSION_INSTALL_TYPES = ['admin', 'development', 'normal', 'sideload', 'other'];
+// Icons are rendered as <img> sources, so only base64 raster images are accepted
+const ICON_DATA_URL_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const MAX_ICON_DATA_URL_LENGTH = 64 * 1024;
+const TIMESTAMP_FIELDS = ['dateAdded', 'dateGroupModified', 'dateLastUsed'];
+
+/**
+ * Checks for a plain (non-array) object.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Builds a readable label for an entry, e.g. 'bookmarks[0].children[2] "GitHub"'.
+ * @param {string} path - The entry's path in the payload.
+ * @param {*} label - A title or name to show alongside the path.
+ * @returns {string}
+ */
+function describeEntry(path, label) {
+  return typeof label === 'string' && label.trim() !== '' ? `${path} "${label}"` : path;
+}
+
+/**
+ * Validates a URL and its scheme, recording an error if it is not acceptable.
+ * @param {*} value - The URL to check.
+ * @param {Array<string>} allowedSchemes - Accepted URL schemes, including the colon.
+ * @param {string} entry - The entry description used in the error.
+ * @param {string} field - The field name used in the error.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {boolean} True if the URL is valid.
+ */
+function validateUrl(value, allowedSchemes, entry, field, errors) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ path: entry, message: `${field} must be a non-empty string.` });
+    return false;
+  }
+  let protocol;
+  try {
+    protocol = new URL(value).protocol;
+  } catch (e) {
+    errors.push({ path: entry, message: `${field} "${value}" is not a valid URL.` });
+    return false;
+  }
+  if (!allowedSchemes.includes(protocol)) {
+    errors.push({ path: entry, message: `${field} uses the unsupported scheme "${protocol}".` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates the optional millisecond timestamps of a bookmark node.
+ * @param {object} node - The bookmark node.
+ * @param {string} entry - The entry description used in errors.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {boolean} True if all present timestamps are valid.
+ */
+function validateTimestamps(node, entry, errors) {
+  let valid = true;
+  for (const field of TIMESTAMP_FIELDS) {
+    const value = node[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push({ path: entry, message: `${field} must be a non-negative number of milliseconds.` });
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+/**
+ * Validates a list of bookmark nodes recursively.
+ * @param {Array<*>} nodes - The nodes to validate.
+ * @param {string} path - The path of the list in the payload.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {Array<object>} Copies of the valid nodes; invalid nodes are left out with their subtree.
+ */
+function validateBookmarkNodes(nodes, path, errors) {
+  const validNodes = [];
+  nodes.forEach((node, index) => {
+    const validNode = validateBookmarkNode(node, `${path}[${index}]`, errors);
+    if (validNode) validNodes.push(validNode);
+  });
+  return validNodes;
+}
+
+/**
+ * Validates a single bookmark or folder node.
+ * @param {*} node - The node to validate.
+ * @param {string} path - The node's path in the payload.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {object|null} A copy of the valid node, or null if it is invalid.
+ */
+function validateBookmarkNode(node, path, errors) {
+  if (!isPlainObject(node)) {
+    errors.push({ path, message: 'Bookmark entry must be an object.' });
+    return null;
+  }
+
+  const entry = describeEntry(path, node.title);
+  let valid = true;
+  if (node.title !== undefined && typeof node.title !== 'string') {
+    errors.push({ path: entry, message: 'title must be a string.' });
+    valid = false;
+  }
+  if (node.id !== undefined && typeof node.id !== 'string') {
+    errors.push({ path: entry, message: 'id must be a string.' });
+    valid = false;
+  }
+  valid = validateTimestamps(node, entry, errors) && valid;
+
+  if (node.url !== undefined) {
+    if (node.children !== undefined) {
+      errors.push({ path: entry, message: 'Entry has both a url and children.' });
+      return null;
+    }
+    valid = validateUrl(node.url, ALLOWED_BOOKMARK_SCHEMES, entry, 'url', errors) && valid;
+    return valid ? { ...node } : null;
+  }
+
+  if (!Array.isArray(node.children)) {
+    errors.push({ path: entry, message: 'Entry must have either a url or a children array.' });
+    return null;
+  }
+  if (!valid) {
+    return null;
+  }
+  return { ...node, children: validateBookmarkNodes(node.children, `${path}.children`, errors) };
+}
+
+/**
+ * Validates a single extension entry.
+ * @param {*} extension - The extension entry.
+ * @param {string} path - The entry's path in the payload.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {boolean} True if the entry is valid.
+ */
+function validateExtension(extension, path, errors) {
+  if (!isPlainObject(extension)) {
+    errors.push({ path, message: 'Extension entry must be an object.' });
+    return false;
+  }
+
+  const entry = describeEntry(path, extension.name);
+  let valid = true;
+  if (typeof extension.id !== 'string' || extension.id.trim() === '') {
+    errors.push({ path: entry, message: 'id is missing or empty.' });
+    valid = false;
+  }
+  if (typeof extension.name !== 'string' || extension.name.trim() === '') {
+    errors.push({ path: entry, message: 'name is missing or empty.' });
+    valid = false;
+  }
+  for (const field of ['homepageUrl', 'updateUrl']) {
+    const value = extension[field];
+    if (value === undefined || value === null || value === '') continue;
+    valid = validateUrl(value, ALLOWED_EXTENSION_URL_SCHEMES, entry, field, errors) && valid;
+  }
+  if (valid) {
+    validateExtensionMetadata(extension, entry, errors);
+  }
+  return valid;
+}
+
+/**
+ * Validates the optional metadata of an extension entry. Invalid fields are removed from the entry
+ * (which must be a copy) instead of dropping the whole extension.
+ * @param {object} extension - A copy of the extension entry.
+ * @param {string} entry - The entry description used in errors.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ */
+function validateExtensionMetadata(extension, entry, errors) {
+  const reject = (field, message) => {
+    errors.push({ path: entry, message });
+    delete extension[field];
+  };
+
+  for (const field of ['version', 'description']) {
+    if (extension[field] !== undefined && typeof extension[field] !== 'string') {
+      reject(field, `${field} must be a string.`);
+    }
+  }
+  if (extension.enabled !== undefined && typeof extension.enabled !== 'boolean') {
+    reject('enabled', 'enabled must be true or false.');
+  }
+  if (extension.installType !== undefined && !EXTENSION_INSTALL_TYPES.includes(extension.installType)) {
+    reject('installType', `installType must be one of ${EXTENSION_INSTALL_TYPES.join(', ')}.`);
+  }
+  if (extension.optionsUrl !== undefined &&
+      !validateUrl(extension.optionsUrl, ALLOWED_OPTIONS_URL_SCHEMES, entry, 'optionsUrl', errors)) {
+    delete extension.optionsUrl;
+  }
+  if (extension.iconDataUrl !== undefined &&
+      (typeof extension.iconDataUrl !== 'string' ||
+       extension.iconDataUrl.length > MAX_ICON_DATA_URL_LENGTH ||
+       !ICON_DATA_URL_PATTERN.test(extension.iconDataUrl))) {
+    reject('iconDataUrl', 'iconDataUrl must be a base64 PNG, JPEG, GIF or WebP data URL of at most 64 KB.');
+  }
+}
+
+/**
+ * Validates a single extension profile.
+ * @param {*} profile - The profile entry.
+ * @param {string} path - The entry's path in the payload.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors.
+ * @returns {boolean} True if the profile is valid.
+ */
+function validateProfile(profile, path, errors) {
+  if (!isPlainObject(profile)) {
+    errors.push({ path, message: 'Profile entry must be an object.' });
+    return false;
+  }
+
+  const entry = describeEntry(path, profile.name);
+  if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+    errors.push({ path: entry, message: 'name is missing or empty.' });
+    return false;
+  }
+  if (!isPlainObject(profile.states) ||
+      !Object.values(profile.states).every(state => isPlainObject(state) && typeof state.enabled === 'boolean')) {
+    errors.push({ path: entry, message: 'states must map extension IDs to { enabled: true|false }.' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates a backup payload (already migrated to the current schema version).
+ * @param {*} data - The payload from an import file or a restored backup.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, validData: object}}
+ *   The report, plus a copy of the payload containing only the valid entries.
+ */
+export function validateBackupData(data) {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    errors.push({ path: '(root)', message: 'Backup data must be an object.' });
+    return { valid: false, errors, validData: { extensions: [], bookmarks: [] } };
+  }
+
+  const validData = { ...data };
+
+  if (data.exportedTimestamp !== undefined &&
+      (typeof data.exportedTimestamp !== 'string' || Number.isNaN(Date.parse(data.exportedTimestamp)))) {
+    errors.push({ path: 'exportedTimestamp', message: 'exportedTimestamp must be an ISO date string.' });
+    delete validData.exportedTimestamp;
+  }
+  if (data.exportedFromBrowser !== undefined && typeof data.exportedFromBrowser !== 'string') {
+    errors.push({ path: 'exportedFromBrowser', message: 'exportedFromBrowser must be a string.' });
+    delete validData.exportedFromBrowser;
+  }
+
+  if (Array.isArray(data.extensions)) {
+    // Entries are copied because invalid optional metadata is stripped from them
+    validData.extensions = data.extensions
+      .map(extension => isPlainObject(extension) ? { ...extension } : extension)
+      .filter((extension, index) => validateExtension(extension, `extensions[${index}]`, errors));
+  } else {
+    errors.push({ path: 'extensions', message: 'extensions must be an array.' });
+    validData.extensions = [];
+  }
+
+  if (Array.isArray(data.bookmarks)) {
+    validData.bookmarks = validateBookmarkNodes(data.bookmarks, 'bookmarks', errors);
+  } else {
+    errors.push({ path: 'bookmarks', message: 'bookmarks must be an array.' });
+    validData.bookmarks = [];
+  }
+
+  // Extension profiles are optional
+  if (data.profiles !== undefined) {
+    if (Array.isArray(data.profiles)) {
+      validData.profiles = data.profiles.filter((profile, index) =>
+        validateProfile(profile, `profiles[${index}]`, errors)
+      );
+    } else {
+      errors.push({ path: 'profiles', message: 'profiles must be an array.' });
+      delete validData.profiles;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, validData };
+}
+
+/**
+ * Shows the validation errors of a payload and asks whether to continue with the valid entries only.
+ * @param {{errors: Array<{path: string, message: string}>, validData: object}} report - The result of validateBackupData.
+ * @param {string} action - What is being done with the data, e.g. 'import' or 'restore'.
+ * @returns {Promise<boolean>} True if the user chose to continue with the valid subset.
+ */
+export function confirmValidationReport(report, action) {
+  const extensionCount = report.validData.extensions.length;
+  const bookmarkCount = countBookmarks(report.validData.bookmarks);
+  return showDialog({
+    title: `Some entries cannot be ${action === 'restore' ? 'restored' : 'imported'}`,
+    message: `${report.errors.length} problem(s) were found. Invalid entries (and the contents of invalid folders) ` +
+      `will be skipped; ${extensionCount} extension(s) and ${bookmarkCount} bookmark(s) remain valid.`,
+    sections: [{
+      heading: 'Invalid entries',
+      items: report.errors.map(error => `${error.path}: ${error.message}`),
+      className: 'report-dialog-errors'
+    }],
+    confirmLabel: `${action === 'restore' ? 'Restore' : 'Import'} valid entries`,
+    cancelLabel: 'Cancel'
+  });
+}
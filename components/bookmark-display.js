@@ -1,14 +1,370 @@
 // bookmark-display.js
 // Renders the browser's bookmark tree as interactive UI elements, supporting both bookmarks and folders.
-// Handles bookmark and folder deletion, updates the UI in real time, and manages error states.
-// Provides functions to display the full bookmark tree and ensure a responsive, user-friendly experience.
+// The tree is flattened into rows for the expanded folders only, and only the rows in view are in the DOM,
+// so collections with tens of thousands of bookmarks stay responsive. Expanded folders are remembered across re-renders.
+// Rows can be edited in place, folders get new bookmarks and subfolders, and rows are moved by drag and drop.
 // Bookmark Display Component
 import { getFaviconUrl, DEFAULT_FAVICON_SVG } from './extension-display.js';
 import { removeBookmarkById } from './data-handler.js';
+import {
+  canEditBookmarkNode,
+  updateBookmarkNode,
+  createBookmarkNode,
+  moveBookmarkNode,
+  applyBookmarkEdit
+} from './bookmark-editor.js';
+import { createLinkStatusBadge } from './link-checker.js';
+import { renderHighlightedText } from './fuzzy-match.js';
 
-export function renderBookmarkNode(node) {
+// Every row has the same height so the visible range can be computed from the scroll position
+const ROW_HEIGHT = 30;
+// Rows rendered above and below the visible range, to avoid blank flashes while scrolling
+const OVERSCAN_ROWS = 10;
+const INDENT_PX = 20;
+// Used while the container is not laid out yet (e.g. on a hidden tab); matches its max-height
+const DEFAULT_VIEWPORT_HEIGHT = 400;
+// Bookmarks the popup cannot open (bookmarklets, data: URLs) are shown without a link
+const UNLINKED_SCHEMES = /^\s*(javascript|data):/i;
+
+// Per container: the displayed roots, the flattened rows, expanded folder keys, the rendered range, the display options,
+// the row being edited (or the new node being entered) and the node being dragged
+const treeStates = new WeakMap();
+// Rendered rows by element, for the drag and drop handlers on the list
+const rowsByElement = new WeakMap();
+const editListeners = new Set();
+
+/**
+ * Returns the key a folder's expanded state is remembered under: its id, or its title path
+ * for data without ids. Keys survive filtering, since filtered folders keep their id.
+ * @param {object} node - The bookmark node.
+ * @param {string} parentKey - The key of the parent folder.
+ * @returns {string}
+ */
+function getNodeKey(node, parentKey) {
+  return node.id ? `id:${node.id}` : `${parentKey}/${node.title || ''}`;
+}
+
+/**
+ * Flattens the displayed tree into rows, descending only into expanded folders.
+ * @param {Array<object>} nodes - The nodes at this level.
+ * @param {Set<string>} expanded - Keys of expanded folders.
+ * @param {number} [depth=0] - The nesting depth.
+ * @param {string} [parentKey=''] - The key of the parent folder.
+ * @param {Array<object>} [rows=[]] - Accumulator.
+ * @returns {Array<{node: object, siblings: Array<object>, depth: number, key: string}>}
+ */
+function flattenVisibleRows(nodes, expanded, depth = 0, parentKey = '', rows = []) {
+  for (const node of nodes) {
+    const key = getNodeKey(node, parentKey);
+    rows.push({ node, siblings: nodes, depth, key });
+    if (!node.url && expanded.has(key) && Array.isArray(node.children)) {
+      flattenVisibleRows(node.children, expanded, depth + 1, key, rows);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Refreshes the tree after a bookmark vanished from the browser behind our back.
+ */
+function refreshFromBrowser() {
+  chrome.bookmarks.getTree((tree) => {
+    const container = document.querySelector('.bookmarks-tree-container');
+    if (container) {
+      displayBookmarks(container, tree);
+    }
+  });
+}
+
+/**
+ * Registers a listener called with every edit made in the tree (see bookmark-editor.js), after the browser
+ * has applied it, so the full tree and the stored copy can follow.
+ * @param {Function} listener - Called with the edit.
+ */
+export function onBookmarkTreeEdited(listener) {
+  editListeners.add(listener);
+}
+
+/**
+ * Applies an edit the browser has made to the displayed tree and tells the listeners.
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ * @param {object} edit - The edit.
+ */
+function commitEdit(container, edit) {
+  const state = treeStates.get(container);
+  state.editing = null;
+  applyBookmarkEdit(state.roots, edit);
+  refreshRows(container);
+  editListeners.forEach(listener => listener(edit));
+}
+
+/**
+ * Creates a small text button shown on a row.
+ * @param {string} label - The button text.
+ * @param {string} title - The tooltip.
+ * @param {Function} onClick - Called on click; the click does not reach the row.
+ * @returns {HTMLButtonElement}
+ */
+function createRowButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.classList.add('bookmark-row-button');
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Renders the inline form for editing a node or entering a new one. Typed values are kept in editing,
+ * so they survive re-renders while scrolling.
+ * @param {object} editing - The edit in progress: {node, parent, isFolder, title, url}.
+ * @param {number} depth - The nesting depth.
+ * @param {Function} onSave - Called when the form is submitted.
+ * @param {Function} onCancel - Called when editing is cancelled.
+ * @returns {HTMLLIElement}
+ */
+function renderEditForm(editing, depth, onSave, onCancel) {
+  const listItem = document.createElement('li');
+  listItem.classList.add('bookmark-item', 'editing');
+  listItem.style.height = `${ROW_HEIGHT}px`;
+  listItem.style.paddingLeft = `${depth * INDENT_PX}px`;
+
+  const form = document.createElement('form');
+  form.classList.add('bookmark-edit-form');
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.classList.add('bookmark-edit-title');
+  titleInput.placeholder = editing.isFolder ? 'Folder name' : 'Title';
+  titleInput.value = editing.title;
+  titleInput.addEventListener('input', () => { editing.title = titleInput.value; });
+  form.appendChild(titleInput);
+
+  if (!editing.isFolder) {
+    const urlInput = document.createElement('input');
+    urlInput.type = 'text';
+    urlInput.classList.add('bookmark-edit-url');
+    urlInput.placeholder = 'https://';
+    urlInput.value = editing.url;
+    urlInput.addEventListener('input', () => { editing.url = urlInput.value; });
+    form.appendChild(urlInput);
+  }
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.classList.add('button', 'button-primary', 'bookmark-edit-save');
+  saveButton.textContent = editing.node ? 'Save' : 'Add';
+  const cancelButton = createRowButton('Cancel', 'Discard the changes (Esc)', onCancel);
+  form.appendChild(saveButton);
+  form.appendChild(cancelButton);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    onSave();
+  });
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      onCancel();
+    }
+  });
+  listItem.appendChild(form);
+  return listItem;
+}
+
+/**
+ * Starts editing a node, or entering a new bookmark or folder in a folder (which is expanded to show it).
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ * @param {object} row - The row of the node to edit, or of the folder to add to.
+ * @param {'edit'|'bookmark'|'folder'} mode - What to do.
+ */
+function startEditing(container, row, mode) {
+  const state = treeStates.get(container);
+  if (mode === 'edit') {
+    state.editing = { key: row.key, node: row.node, isFolder: !row.node.url, title: row.node.title || '', url: row.node.url || '' };
+  } else {
+    state.editing = { key: `${row.key}#new`, parentKey: row.key, parent: row.node, node: null, isFolder: mode === 'folder', title: '', url: '' };
+    state.expanded.add(row.key);
+  }
+  state.focusEditor = true;
+  refreshRows(container);
+}
+
+/**
+ * Sends the edit form to the browser; the form stays open with an alert if the browser refuses it.
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ */
+async function saveEditing(container) {
+  const state = treeStates.get(container);
+  const editing = state.editing;
+  if (!editing) return;
+  if (!editing.isFolder && !editing.url.trim()) {
+    alert('Please enter the URL of the bookmark.');
+    return;
+  }
+  const values = { title: editing.title.trim(), url: editing.isFolder ? undefined : editing.url };
+  try {
+    const edit = editing.node
+      ? await updateBookmarkNode(editing.node, values)
+      : await createBookmarkNode(editing.parent, values);
+    if (state.editing === editing) commitEdit(container, edit);
+  } catch (err) {
+    alert(`Failed to save ${editing.isFolder ? 'folder' : 'bookmark'}: ${err.message}`);
+  }
+}
+
+/**
+ * Works out where a dragged node would land on a row: before or after it, or into it for folders (middle half).
+ * Root folders only accept nodes into them.
+ * @param {object} row - The row under the pointer.
+ * @param {DragEvent} event - The drag event.
+ * @param {HTMLElement} element - The row element.
+ * @returns {'before'|'after'|'into'}
+ */
+function getDropPosition(row, event, element) {
+  const rect = element.getBoundingClientRect();
+  const offset = (event.clientY - rect.top) / (rect.height || ROW_HEIGHT);
+  if (!row.node.url && !canEditBookmarkNode(row.node)) return 'into';
+  if (row.node.url) return offset < 0.5 ? 'before' : 'after';
+  return offset < 0.25 ? 'before' : (offset > 0.75 ? 'after' : 'into');
+}
+
+/**
+ * Wires drag and drop on a container's list: dragging an editable row onto another row moves it there.
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ * @param {HTMLElement} list - The list holding the rows.
+ */
+function setUpDragAndDrop(container, list) {
+  const state = treeStates.get(container);
+  const clearDropMarkers = () => {
+    list.querySelectorAll('.drop-before, .drop-after, .drop-into').forEach(element =>
+      element.classList.remove('drop-before', 'drop-after', 'drop-into')
+    );
+  };
+  const getTarget = (event) => {
+    const element = event.target.closest('.bookmark-item');
+    const row = element && rowsByElement.get(element);
+    if (!row || !row.node || !row.node.id || !state.dragging || row.node === state.dragging) return null;
+    return { element, row };
+  };
+
+  list.addEventListener('dragstart', (e) => {
+    const element = e.target.closest('.bookmark-item');
+    const row = element && rowsByElement.get(element);
+    if (!row || !row.node) return;
+    state.dragging = row.node;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', row.node.url || row.node.title || '');
+  });
+  list.addEventListener('dragover', (e) => {
+    const target = getTarget(e);
+    if (!target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const position = getDropPosition(target.row, e, target.element);
+    clearDropMarkers();
+    target.element.classList.add(`drop-${position}`);
+  });
+  list.addEventListener('dragleave', (e) => {
+    if (e.target.classList && e.target.classList.contains('bookmark-item')) {
+      e.target.classList.remove('drop-before', 'drop-after', 'drop-into');
+    }
+  });
+  list.addEventListener('drop', async (e) => {
+    const target = getTarget(e);
+    clearDropMarkers();
+    if (!target) return;
+    e.preventDefault();
+    const node = state.dragging;
+    state.dragging = null;
+    const position = getDropPosition(target.row, e, target.element);
+    try {
+      const edit = await moveBookmarkNode(node, target.row.node, position);
+      if (position === 'into') state.expanded.add(target.row.key);
+      commitEdit(container, edit);
+    } catch (err) {
+      alert(`Failed to move ${node.url ? 'bookmark' : 'folder'}: ${err.message}`);
+    }
+  });
+  list.addEventListener('dragend', () => {
+    state.dragging = null;
+    clearDropMarkers();
+  });
+}
+
+/**
+ * Appends the folder path of a flat search result to a row.
+ * @param {HTMLElement} contentDiv - The row content.
+ * @param {string} [folderPath] - The path; nothing is added if it is empty.
+ */
+function appendFolderPath(contentDiv, folderPath) {
+  if (!folderPath) return;
+  const pathSpan = document.createElement('span');
+  pathSpan.classList.add('bookmark-path');
+  pathSpan.textContent = folderPath;
+  pathSpan.title = folderPath;
+  contentDiv.appendChild(pathSpan);
+}
+
+/**
+ * Creates the delete button of a row.
+ * @param {object} node - The bookmark or folder.
+ * @param {Function} onDeleted - Called after the node was deleted.
+ * @returns {HTMLButtonElement}
+ */
+function createDeleteButton(node, onDeleted) {
+  const isFolder = !node.url;
+  const deleteBtn = document.createElement('button');
+  deleteBtn.classList.add('delete-bookmark-button');
+  deleteBtn.title = isFolder ? 'Delete folder' : 'Delete bookmark';
+  deleteBtn.innerHTML = '<img src="icons/trash.svg" alt="Delete" class="icon">';
+  deleteBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    e.preventDefault();
+    if (confirm(isFolder ? 'Delete this folder and all its contents?' : 'Delete this bookmark?')) {
+      try {
+        await removeBookmarkById(node.id);
+        onDeleted();
+      } catch (err) {
+        if (err.message === "This bookmark or folder no longer exists.") {
+          alert(err.message);
+          // Refresh the bookmark tree in the UI
+          refreshFromBrowser();
+        } else {
+          alert(`Failed to delete ${isFolder ? 'folder' : 'bookmark'}: ${err.message}`);
+        }
+      }
+    }
+  });
+  return deleteBtn;
+}
+
+/**
+ * Renders one row of the tree: a bookmark, or a folder with its toggle. Children are not rendered;
+ * they become rows of their own when the folder is expanded.
+ * @param {object} node - The bookmark node.
+ * @param {object} [options]
+ * @param {number} [options.depth=0] - The nesting depth, shown as indentation.
+ * @param {boolean} [options.expanded=false] - Whether the folder is expanded.
+ * @param {Function} [options.onToggle] - Called when the folder row is clicked.
+ * @param {Function} [options.onDeleted] - Called after the node was deleted.
+ * @param {Function} [options.onEdit] - Called with 'edit', 'bookmark' or 'folder' to edit the node or add to the folder.
+ *   Without it, the row has no edit buttons and cannot be dragged.
+ * @param {Array<string>} [options.highlightWords=[]] - Search words whose matches in the title are highlighted.
+ * @param {string} [options.folderPath] - The containing folders, shown after the title (flat search results).
+ * @returns {HTMLLIElement}
+ */
+export function renderBookmarkNode(node, { depth = 0, expanded = false, onToggle, onDeleted = () => {}, onEdit, highlightWords = [], folderPath } = {}) {
+  const editable = canEditBookmarkNode(node);
   const listItem = document.createElement('li');
   listItem.classList.add('bookmark-item');
+  listItem.draggable = editable && typeof onEdit === 'function';
+  listItem.style.height = `${ROW_HEIGHT}px`;
+  listItem.style.paddingLeft = `${depth * INDENT_PX}px`;
 
   const contentDiv = document.createElement('div');
   contentDiv.classList.add('node-content');
@@ -22,48 +378,38 @@ export function renderBookmarkNode(node) {
     favicon.onerror = function() { this.src = DEFAULT_FAVICON_SVG; };
 
     const link = document.createElement('a');
-    link.href = node.url;
-    link.textContent = node.title || '(No Title)';
+    if (!UNLINKED_SCHEMES.test(node.url)) {
+      link.href = node.url;
+      link.target = '_blank';
+    }
+    if (node.title) {
+      renderHighlightedText(link, node.title, highlightWords);
+    } else {
+      link.textContent = '(No Title)';
+    }
     link.title = `${node.title || ''}\n${node.url}`;
-    link.target = '_blank';
 
     contentDiv.appendChild(favicon);
     contentDiv.appendChild(link);
+    appendFolderPath(contentDiv, folderPath);
 
-    // Add delete button only if node.id exists
-    if (node.id) {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.classList.add('delete-bookmark-button');
-      deleteBtn.title = 'Delete bookmark';
-      deleteBtn.innerHTML = '<img src="icons/trash.svg" alt="Delete" class="icon">';
-      deleteBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        e.preventDefault();
-        if (confirm('Delete this bookmark?')) {
-          try {
-            await removeBookmarkById(node.id);
-            listItem.remove();
-          } catch (err) {
-            if (err.message === "This bookmark or folder no longer exists.") {
-              alert(err.message);
-              // Refresh the bookmark tree in the UI
-              chrome.bookmarks.getTree((tree) => {
-                const container = document.querySelector('.bookmarks-tree-container');
-                if (container) {
-                  displayBookmarks(container, tree);
-                }
-              });
-            } else {
-              alert('Failed to delete bookmark: ' + err.message);
-            }
-          }
-        }
-      });
-      contentDiv.appendChild(deleteBtn);
+    // Show the result of the last link check, if the link had a problem
+    const linkBadge = createLinkStatusBadge(node.url);
+    if (linkBadge) {
+      contentDiv.appendChild(linkBadge);
+    }
+
+    if (editable && typeof onEdit === 'function') {
+      contentDiv.appendChild(createRowButton('Edit', 'Edit title and URL', () => onEdit('edit')));
+    }
+    // Add delete button only if the browser lets us change the bookmark
+    if (editable) {
+      contentDiv.appendChild(createDeleteButton(node, onDeleted));
     }
 
   } else { // It's a folder
     listItem.classList.add('folder');
+    if (expanded) listItem.classList.add('open');
 
     const toggle = document.createElement('span');
     toggle.classList.add('folder-toggle');
@@ -77,62 +423,35 @@ export function renderBookmarkNode(node) {
 
     const titleSpan = document.createElement('span');
     titleSpan.classList.add('folder-title');
-    titleSpan.textContent = node.title || '(Unnamed Folder)';
+    if (node.title) {
+      renderHighlightedText(titleSpan, node.title, highlightWords);
+    } else {
+      titleSpan.textContent = '(Unnamed Folder)';
+    }
     contentDiv.appendChild(titleSpan);
+    appendFolderPath(contentDiv, folderPath);
 
-    // Add delete button for folders only if node.id exists and not a special/root folder
+    // Root folders can be added to, but not renamed or deleted
+    if (node.id && !node.unmodifiable && typeof onEdit === 'function') {
+      contentDiv.appendChild(createRowButton('+ Bookmark', 'Add a bookmark to this folder', () => onEdit('bookmark')));
+      contentDiv.appendChild(createRowButton('+ Folder', 'Add a folder to this folder', () => onEdit('folder')));
+      if (editable) {
+        contentDiv.appendChild(createRowButton('Edit', 'Rename folder', () => onEdit('edit')));
+      }
+    }
     // Only allow deletion for user-created folders, not special/root folders.
-    if (
-      node.id &&
-      node.title !== 'Bookmarks Bar' &&
-      node.title !== 'Other Bookmarks' &&
-      node.title !== 'Managed bookmarks'
-    ) {
-      const deleteBtn = document.createElement('button');
-      deleteBtn.classList.add('delete-bookmark-button');
-      deleteBtn.title = 'Delete folder';
-      deleteBtn.innerHTML = '<img src="icons/trash.svg" alt="Delete" class="icon">';
-      deleteBtn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        e.preventDefault();
-        if (confirm('Delete this folder and all its contents?')) {
-          try {
-            await removeBookmarkById(node.id);
-            listItem.remove();
-          } catch (err) {
-            if (err.message === "This bookmark or folder no longer exists.") {
-              alert(err.message);
-              // If the folder no longer exists, refresh the bookmark tree in the UI
-              chrome.bookmarks.getTree((tree) => {
-                const container = document.querySelector('.bookmarks-tree-container');
-                if (container) {
-                  displayBookmarks(container, tree);
-                }
-              });
-            } else {
-              alert('Failed to delete folder: ' + err.message);
-            }
-          }
-        }
-      });
-      contentDiv.appendChild(deleteBtn);
+    if (editable) {
+      contentDiv.appendChild(createDeleteButton(node, onDeleted));
     }
 
     // Toggle folder open/close on click, but not when clicking a bookmark link.
     contentDiv.addEventListener('click', (e) => {
-      if (e.target.tagName !== 'A') {
-        listItem.classList.toggle('open');
+      if (e.target.tagName !== 'A' && typeof onToggle === 'function') {
+        onToggle();
       }
     });
 
-    if (node.children && node.children.length > 0) {
-      const childrenList = document.createElement('ul');
-      childrenList.classList.add('bookmarks-list');
-      node.children.forEach(child => {
-        childrenList.appendChild(renderBookmarkNode(child));
-      });
-      listItem.appendChild(childrenList);
-    } else {
+    if (!node.children || node.children.length === 0) {
       toggle.style.visibility = 'hidden';
     }
   }
@@ -140,29 +459,145 @@ export function renderBookmarkNode(node) {
   return listItem;
 }
 
-export function displayBookmarks(bookmarksTreeContainer, bookmarkNodes) {
-  bookmarksTreeContainer.innerHTML = '';
+/**
+ * Renders the rows in (and just around) the visible part of the container.
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ * @param {boolean} [force=false] - Re-render even if the visible range did not change.
+ */
+function renderVisibleRows(container, force = false) {
+  const state = treeStates.get(container);
+  if (!state || !state.list) return;
 
-  if (!bookmarkNodes || bookmarkNodes.length === 0) {
-    bookmarksTreeContainer.innerHTML = '<p class="empty-text">No bookmarks found or loaded.</p>';
-    return;
+  const viewportHeight = container.clientHeight || DEFAULT_VIEWPORT_HEIGHT;
+  const first = Math.max(0, Math.floor(container.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const last = Math.min(state.rows.length, Math.ceil((container.scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  if (!force && first === state.first && last === state.last) return;
+  state.first = first;
+  state.last = last;
+
+  state.list.style.top = `${first * ROW_HEIGHT}px`;
+  const fragment = document.createDocumentFragment();
+  for (const row of state.rows.slice(first, last)) {
+    if (state.editing && state.editing.key === row.key) {
+      fragment.appendChild(renderEditForm(state.editing, row.depth, () => saveEditing(container), () => {
+        state.editing = null;
+        refreshRows(container);
+      }));
+      continue;
+    }
+    const element = renderBookmarkNode(row.node, {
+      depth: row.depth,
+      expanded: state.expanded.has(row.key),
+      // Only top-level rows are search results in the flat view; their contents are shown as they are
+      highlightWords: row.depth === 0 || !state.folderPaths ? state.highlightWords : [],
+      folderPath: row.depth === 0 && state.folderPaths ? state.folderPaths.get(row.node) : undefined,
+      onToggle: () => {
+        if (state.expanded.has(row.key)) {
+          state.expanded.delete(row.key);
+        } else {
+          state.expanded.add(row.key);
+        }
+        refreshRows(container);
+      },
+      onDeleted: () => commitEdit(container, { type: 'remove', id: row.node.id }),
+      onEdit: mode => startEditing(container, row, mode)
+    });
+    rowsByElement.set(element, row);
+    fragment.appendChild(element);
+  }
+  state.list.replaceChildren(fragment);
+  if (state.focusEditor) {
+    state.focusEditor = false;
+    const input = state.list.querySelector('.bookmark-edit-form input');
+    if (input) input.focus();
   }
+}
 
-  const rootList = document.createElement('ul');
-  rootList.classList.add('bookmarks-list', 'root-level');
+/**
+ * Re-flattens the rows after folders were expanded or collapsed, or nodes removed, and re-renders.
+ * @param {HTMLElement} container - The scrolling bookmark container.
+ */
+function refreshRows(container) {
+  const state = treeStates.get(container);
+  state.rows = flattenVisibleRows(state.roots, state.expanded);
+  // A new node being entered gets a row at the top of its folder
+  if (state.editing && !state.editing.node) {
+    const parentIndex = state.rows.findIndex(row => row.key === state.editing.parentKey);
+    if (parentIndex === -1) {
+      state.editing = null;
+    } else {
+      const parentRow = state.rows[parentIndex];
+      state.rows.splice(parentIndex + 1, 0, { node: null, siblings: [], depth: parentRow.depth + 1, key: state.editing.key });
+    }
+  }
+  // Sized first, so a scroll position past the new end is clamped before the visible range is computed
+  state.spacer.style.height = `${state.rows.length * ROW_HEIGHT}px`;
+  renderVisibleRows(container, true);
+}
 
-  if (bookmarkNodes[0] && bookmarkNodes[0].children) {
-    bookmarkNodes[0].children.forEach(node => {
-      // Skip empty "Managed bookmarks" node, as it is a special system folder.
-      if (node.title === "Managed bookmarks" && (!node.children || node.children.length === 0)) {
-        return;
-      }
-      rootList.appendChild(renderBookmarkNode(node));
+/**
+ * Returns the top-level folders to show: the children of the root node, without an empty "Managed bookmarks".
+ * @param {Array<object>} bookmarkNodes - The tree from chrome.bookmarks.getTree (or a filtered copy).
+ * @returns {Array<object>|null} The nodes, or null if the tree has no root node with children.
+ */
+function getTopLevelNodes(bookmarkNodes) {
+  if (!bookmarkNodes[0] || !bookmarkNodes[0].children) return null;
+  // Skip empty "Managed bookmarks" node, as it is a special system folder.
+  return bookmarkNodes[0].children.filter(node =>
+    !(node.title === "Managed bookmarks" && (!node.children || node.children.length === 0))
+  );
+}
+
+/**
+ * Displays a bookmark tree (or search results) in the container. Which folders are expanded is kept
+ * across calls for the same container.
+ * @param {HTMLElement} bookmarksTreeContainer - The scrolling bookmark container.
+ * @param {Array<object>} bookmarkNodes - The tree from chrome.bookmarks.getTree, or a filtered copy.
+ * @param {object} [options]
+ * @param {Array<string>} [options.highlightWords=[]] - Search words whose matches in titles are highlighted.
+ * @param {Map<object, string>} [options.folderPaths] - For flat search results: the folder path of each top-level node.
+ */
+export function displayBookmarks(bookmarksTreeContainer, bookmarkNodes, { highlightWords = [], folderPaths = null } = {}) {
+  let state = treeStates.get(bookmarksTreeContainer);
+  if (!state) {
+    state = {
+      expanded: new Set(), roots: [], rows: [], list: null, spacer: null, first: -1, last: -1, scheduled: false,
+      highlightWords: [], folderPaths: null, editing: null, focusEditor: false, dragging: null
+    };
+    treeStates.set(bookmarksTreeContainer, state);
+    bookmarksTreeContainer.addEventListener('scroll', () => {
+      if (state.scheduled) return;
+      state.scheduled = true;
+      requestAnimationFrame(() => {
+        state.scheduled = false;
+        renderVisibleRows(bookmarksTreeContainer);
+      });
     });
-  } else {
-    bookmarksTreeContainer.innerHTML = '<p class="empty-text">Bookmark tree structure seems invalid.</p>';
+  }
+
+  const topLevelNodes = bookmarkNodes && bookmarkNodes.length > 0 ? getTopLevelNodes(bookmarkNodes) : null;
+  if (!topLevelNodes) {
+    state.list = null;
+    bookmarksTreeContainer.innerHTML = !bookmarkNodes || bookmarkNodes.length === 0
+      ? '<p class="empty-text">No bookmarks found or loaded.</p>'
+      : '<p class="empty-text">Bookmark tree structure seems invalid.</p>';
     return;
   }
 
-  bookmarksTreeContainer.appendChild(rootList);
-}
\ No newline at end of file
+  // The list is built once and kept; re-displays (e.g. while filtering) only swap the rows
+  if (!state.list || !bookmarksTreeContainer.contains(state.list)) {
+    bookmarksTreeContainer.innerHTML = '';
+    state.spacer = document.createElement('div');
+    state.spacer.classList.add('bookmarks-virtual-spacer');
+    state.list = document.createElement('ul');
+    state.list.classList.add('bookmarks-list', 'root-level');
+    setUpDragAndDrop(bookmarksTreeContainer, state.list);
+    state.spacer.appendChild(state.list);
+    bookmarksTreeContainer.appendChild(state.spacer);
+  }
+
+  state.roots = topLevelNodes;
+  state.highlightWords = highlightWords;
+  state.folderPaths = folderPaths;
+  refreshRows(bookmarksTreeContainer);
+}
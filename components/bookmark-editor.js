@@ -0,0 +1,170 @@
+// bookmark-editor.js
+// Renames, edits, creates and moves bookmarks and folders through the chrome.bookmarks API.
+// Every change is described as an edit object that can be applied to an in-memory tree, so the displayed tree
+// and the stored copy (importedDataList) follow the browser without a reload.
+// Bookmark Editor Component
+
+import { saveBookmarkMergeBase } from './bookmark-merge.js';
+import { callChrome } from './extension-display.js';
+
+// Root folders the browser does not let extensions rename, move or delete
+const SPECIAL_FOLDER_TITLES = ['Bookmarks Bar', 'Other Bookmarks', 'Mobile bookmarks', 'Managed bookmarks'];
+
+// Edits can follow each other quickly (e.g. several drags); saves are chained so none overwrites another
+let writeQueue = Promise.resolve();
+
+/**
+ * Checks whether a node can be renamed, moved or deleted: it needs an id, must not be managed by policy
+ * and must not be one of the browser's root folders.
+ * @param {object} node - The bookmark node.
+ * @returns {boolean}
+ */
+export function canEditBookmarkNode(node) {
+  if (!node.id || node.unmodifiable) return false;
+  return !!node.url || (node.parentId !== '0' && !SPECIAL_FOLDER_TITLES.includes(node.title));
+}
+
+/**
+ * Completes a typed URL without a scheme (e.g. "example.com") to https.
+ * @param {string} url - The URL as typed.
+ * @returns {string}
+ */
+export function completeTypedUrl(url) {
+  const trimmed = url.trim();
+  return /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+/**
+ * Changes the title (and, for bookmarks, the URL) of a node.
+ * @param {object} node - The bookmark or folder.
+ * @param {{title: string, url?: string}} changes - The new values.
+ * @returns {Promise<object>} The edit: {type: 'update', id, changes}.
+ */
+export async function updateBookmarkNode(node, { title, url }) {
+  const changes = { title };
+  if (node.url) changes.url = completeTypedUrl(url);
+  const updated = await callChrome(callback => chrome.bookmarks.update(node.id, changes, callback));
+  return { type: 'update', id: node.id, changes: { title: updated.title, ...(node.url ? { url: updated.url } : {}) } };
+}
+
+/**
+ * Creates a bookmark (with a URL) or a folder (without) as the first child of a folder.
+ * @param {object} parent - The folder.
+ * @param {{title: string, url?: string}} values - The new node's title and URL.
+ * @returns {Promise<object>} The edit: {type: 'create', parentId, node}.
+ */
+export async function createBookmarkNode(parent, { title, url }) {
+  const details = { parentId: parent.id, index: 0, title };
+  if (url !== undefined) details.url = completeTypedUrl(url);
+  const created = await callChrome(callback => chrome.bookmarks.create(details, callback));
+  const node = { id: created.id, parentId: created.parentId, title: created.title, dateAdded: created.dateAdded };
+  if (created.url) {
+    node.url = created.url;
+  } else {
+    node.children = [];
+  }
+  return { type: 'create', parentId: parent.id, node };
+}
+
+/**
+ * Moves a node before or after another node, or to the end of a folder.
+ * @param {object} node - The node to move.
+ * @param {object} target - The node it is dropped on.
+ * @param {'before'|'after'|'into'} position - Where, relative to target.
+ * @returns {Promise<object>} The edit: {type: 'move', id, targetId, position}.
+ */
+export async function moveBookmarkNode(node, target, position) {
+  if (position === 'into') {
+    await callChrome(callback => chrome.bookmarks.move(node.id, { parentId: target.id }, callback));
+  } else {
+    // The displayed tree can hold nodes the browser does not have, so the live position of target is used
+    const [liveTarget] = await callChrome(callback => chrome.bookmarks.get(target.id, callback));
+    if (!liveTarget) throw new Error('The bookmark it was dropped on no longer exists.');
+    // The index counts positions before the move, so "after" is always the next index
+    const index = position === 'before' ? liveTarget.index : liveTarget.index + 1;
+    await callChrome(callback => chrome.bookmarks.move(node.id, { parentId: liveTarget.parentId, index }, callback));
+  }
+  return { type: 'move', id: node.id, targetId: target.id, position };
+}
+
+/**
+ * Finds a node by id.
+ * @param {Array<object>} nodes - The tree.
+ * @param {string} id - The node id.
+ * @returns {{node: object, siblings: Array<object>}|null} The node and the array holding it.
+ */
+function findNode(nodes, id) {
+  for (const node of nodes || []) {
+    if (node.id === id) return { node, siblings: nodes };
+    const found = findNode(node.children, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Applies an edit from this module (or {type: 'remove', id}) to an in-memory tree, in place.
+ * Applying the same edit twice has no further effect.
+ * @param {Array<object>} tree - The tree, e.g. from chrome.bookmarks.getTree or the merged stored copy.
+ * @param {object} edit - The edit.
+ * @returns {boolean} Whether the tree had the nodes the edit refers to.
+ */
+export function applyBookmarkEdit(tree, edit) {
+  if (edit.type === 'create') {
+    const parent = findNode(tree, edit.parentId);
+    if (!parent || !Array.isArray(parent.node.children)) return false;
+    if (!parent.node.children.some(child => child.id === edit.node.id)) {
+      parent.node.children.unshift({ ...edit.node, ...(edit.node.children ? { children: [] } : {}) });
+    }
+    return true;
+  }
+
+  const found = findNode(tree, edit.id);
+  if (!found) return false;
+  if (edit.type === 'update') {
+    Object.assign(found.node, edit.changes);
+    return true;
+  }
+  if (edit.type === 'remove') {
+    found.siblings.splice(found.siblings.indexOf(found.node), 1);
+    return true;
+  }
+  if (edit.type === 'move') {
+    const target = findNode(tree, edit.targetId);
+    if (!target || target.node === found.node) return false;
+    found.siblings.splice(found.siblings.indexOf(found.node), 1);
+    if (edit.position === 'into') {
+      target.node.children = target.node.children || [];
+      target.node.children.push(found.node);
+      found.node.parentId = target.node.id;
+    } else {
+      const index = target.siblings.indexOf(target.node);
+      target.siblings.splice(edit.position === 'before' ? index : index + 1, 0, found.node);
+      found.node.parentId = target.node.parentId;
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Saves an edited tree as the stored copy and records the live tree as the new merge base,
+ * as after a merge: the stored copy already contains the edit the browser has just made.
+ * Nothing is stored while there is no stored copy (the popup then shows the live tree only).
+ * @param {Array<object>} tree - The edited tree, as displayed.
+ * @returns {Promise<void>}
+ */
+export function saveEditedBookmarkTree(tree) {
+  const save = writeQueue.then(async () => {
+    const result = await callChrome(callback => chrome.storage.local.get('importedDataList', callback));
+    const importedData = result.importedDataList;
+    if (!importedData) return;
+    importedData.bookmarks = tree;
+    importedData.exportedTimestamp = new Date().toISOString();
+    await callChrome(callback => chrome.storage.local.set({ importedDataList: importedData }, callback));
+    const liveTree = await callChrome(callback => chrome.bookmarks.getTree(callback));
+    await saveBookmarkMergeBase(liveTree);
+  });
+  writeQueue = save.catch(error => console.error("Error saving the edited bookmarks:", error));
+  return save;
+}
@@ -0,0 +1,184 @@
+// bookmark-html-parser.js
+// Parses Netscape bookmark HTML files (<!DOCTYPE NETSCAPE-Bookmark-file-1>), the export format of every major browser.
+// Converts the nested <DL>/<DT>/<H3>/<A> structure into the same node tree that chrome.bookmarks.getTree returns,
+// preserving the folder hierarchy, titles and ADD_DATE so the result can go through the regular Import All flow.
+// Bookmark HTML Parser Component
+
+const NETSCAPE_DOCTYPE = /^\s*(?:<\?xml[^>]*>\s*)?<!DOCTYPE\s+NETSCAPE-Bookmark-file-1\s*>/i;
+
+// Top-level folder titles that browsers use for their toolbar, mapped onto the Bookmarks Bar
+const TOOLBAR_FOLDER_TITLES = ['bookmarks bar', 'bookmarks toolbar', 'favorites bar', 'favourites bar', 'favorites'];
+const OTHER_FOLDER_TITLES = ['other bookmarks', 'other favorites', 'other favourites'];
+
+/**
+ * Checks whether a file's text content is a Netscape bookmark file.
+ * @param {string} text - The file contents.
+ * @returns {boolean}
+ */
+export function isNetscapeBookmarkFile(text) {
+  return typeof text === 'string' && NETSCAPE_DOCTYPE.test(text);
+}
+
+/**
+ * Decodes the HTML entities found in bookmark titles and URLs.
+ * @param {string} text - Text with entities.
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+    }
+    const decoded = namedEntities[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Parses the attributes of a start tag into an object with upper-case keys.
+ * @param {string} attributeText - Everything between the tag name and the closing '>'.
+ * @returns {object}
+ */
+function parseAttributes(attributeText) {
+  const attributes = {};
+  const attributePattern = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = attributePattern.exec(attributeText)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toUpperCase()] = decodeHtmlEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Converts a Netscape ADD_DATE/LAST_MODIFIED value (seconds since epoch) to milliseconds.
+ * @param {string} value - The attribute value.
+ * @returns {number|undefined}
+ */
+function toMilliseconds(value) {
+  const seconds = parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Parses the nested lists of a bookmark file into folder and bookmark nodes.
+ * @param {string} html - The file contents.
+ * @returns {Array<object>} The top-level nodes, each folder carrying an `isToolbar`/`isOther` hint.
+ */
+function parseNodes(html) {
+  const topLevel = [];
+  const listStack = []; // children arrays of the open <DL> elements
+  let pendingFolder = null; // folder whose <DL> has not been opened yet
+  let currentElement = null; // { type: 'folder'|'bookmark', node, text }
+
+  const tagPattern = /<(\/?)([a-z][\w]*)([^>]*)>|([^<]+)/gi;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const [, closing, rawTagName, attributeText, text] = match;
+
+    if (text !== undefined) {
+      if (currentElement) currentElement.text += text;
+      continue;
+    }
+
+    const tagName = rawTagName.toUpperCase();
+    const currentList = listStack.length > 0 ? listStack[listStack.length - 1] : topLevel;
+
+    if (!closing && tagName === 'H3') {
+      const attributes = parseAttributes(attributeText);
+      const folder = { title: '', children: [] };
+      const dateAdded = toMilliseconds(attributes.ADD_DATE);
+      const dateGroupModified = toMilliseconds(attributes.LAST_MODIFIED);
+      if (dateAdded) folder.dateAdded = dateAdded;
+      if (dateGroupModified) folder.dateGroupModified = dateGroupModified;
+      if (attributes.PERSONAL_TOOLBAR_FOLDER === 'true') folder.isToolbar = true;
+      if (attributes.UNFILED_BOOKMARKS_FOLDER === 'true') folder.isOther = true;
+      currentList.push(folder);
+      currentElement = { type: 'folder', node: folder, text: '' };
+    } else if (closing && tagName === 'H3' && currentElement?.type === 'folder') {
+      currentElement.node.title = decodeHtmlEntities(currentElement.text.trim());
+      pendingFolder = currentElement.node;
+      currentElement = null;
+    } else if (!closing && tagName === 'A') {
+      const attributes = parseAttributes(attributeText);
+      pendingFolder = null;
+      if (!attributes.HREF) continue; // Anchors without a target (e.g. feed placeholders) are skipped
+      const bookmark = { title: '', url: attributes.HREF };
+      const dateAdded = toMilliseconds(attributes.ADD_DATE);
+      if (dateAdded) bookmark.dateAdded = dateAdded;
+      currentList.push(bookmark);
+      currentElement = { type: 'bookmark', node: bookmark, text: '' };
+    } else if (closing && tagName === 'A' && currentElement?.type === 'bookmark') {
+      currentElement.node.title = decodeHtmlEntities(currentElement.text.trim());
+      currentElement = null;
+    } else if (!closing && tagName === 'DL') {
+      if (pendingFolder) {
+        listStack.push(pendingFolder.children);
+        pendingFolder = null;
+      } else {
+        // The outermost list, or a stray list that still needs a matching entry for its </DL>
+        listStack.push(currentList);
+      }
+    } else if (closing && tagName === 'DL') {
+      listStack.pop();
+      pendingFolder = null;
+    } else if (!closing && tagName === 'DT') {
+      pendingFolder = null;
+    }
+  }
+
+  return topLevel;
+}
+
+/**
+ * Removes the parser's toolbar/other hints from a tree of nodes.
+ * @param {Array<object>} nodes - The nodes to clean.
+ * @returns {Array<object>}
+ */
+function stripParserHints(nodes) {
+  return nodes.map(({ isToolbar, isOther, ...node }) => {
+    if (node.children) {
+      node.children = stripParserHints(node.children);
+    }
+    return node;
+  });
+}
+
+/**
+ * Parses a Netscape bookmark HTML file into the node structure used by chrome.bookmarks.getTree:
+ * a single root node whose children are the 'Bookmarks Bar' and 'Other Bookmarks' folders.
+ * The browser's toolbar folder becomes the Bookmarks Bar; every other top-level entry goes into Other Bookmarks.
+ * @param {string} html - The file contents.
+ * @returns {Array<object>} The bookmark tree.
+ * @throws {Error} If the text is not a Netscape bookmark file.
+ */
+export function parseNetscapeBookmarks(html) {
+  if (!isNetscapeBookmarkFile(html)) {
+    throw new Error("Not a Netscape bookmark file: missing <!DOCTYPE NETSCAPE-Bookmark-file-1>.");
+  }
+
+  const bookmarksBar = { title: 'Bookmarks Bar', children: [] };
+  const otherBookmarks = { title: 'Other Bookmarks', children: [] };
+
+  for (const node of parseNodes(html)) {
+    const lowerTitle = (node.title || '').toLowerCase();
+    if (node.children && (node.isToolbar || TOOLBAR_FOLDER_TITLES.includes(lowerTitle))) {
+      bookmarksBar.children.push(...node.children);
+      if (node.dateAdded) bookmarksBar.dateAdded = node.dateAdded;
+    } else if (node.children && (node.isOther || OTHER_FOLDER_TITLES.includes(lowerTitle))) {
+      otherBookmarks.children.push(...node.children);
+      if (node.dateAdded) otherBookmarks.dateAdded = node.dateAdded;
+    } else {
+      otherBookmarks.children.push(node);
+    }
+  }
+
+  return [{
+    title: '',
+    children: stripParserHints([bookmarksBar, otherBookmarks])
+  }];
+}
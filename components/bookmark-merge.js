@@ -0,0 +1,348 @@
+// bookmark-merge.js
+// Three-way merge of the stored bookmark copy and the live browser tree, using the last synced live tree as the common base.
+// Nodes are matched by id (then URL for bookmarks, title and parent for folders), so renames and moves keep their identity.
+// Additions and deletions are told apart on each side; changes that cannot be reconciled are reported as conflicts.
+// Bookmark Merge Component
+
+export const BOOKMARK_MERGE_BASE_KEY = 'bookmarkMergeBase';
+
+const ROOT_KEY = 'root';
+const MERGED_PROPERTIES = ['title', 'url', 'parentKey'];
+
+/**
+ * Flattens a bookmark tree into entries (pre-order, so parents come before their children).
+ * @param {Array<object>} nodes - The bookmark nodes.
+ * @returns {Array<{node: object, parent: object|null, isFolder: boolean, children: Array<object>, key: string|null}>}
+ */
+function flattenTree(nodes) {
+  const entries = [];
+  const visit = (list, parent) => {
+    for (const node of list || []) {
+      const entry = { node, parent, isFolder: !node.url, children: [], key: null };
+      entries.push(entry);
+      if (parent) parent.children.push(entry);
+      if (entry.isFolder) visit(node.children, entry);
+    }
+  };
+  visit(nodes, null);
+  return entries;
+}
+
+/**
+ * Returns the key of an entry's parent; top-level nodes share ROOT_KEY.
+ * @param {object} entry - A flattened entry.
+ * @returns {string|null} The parent key, or null if the parent has no key yet.
+ */
+function parentKeyOf(entry) {
+  return entry.parent ? entry.parent.key : ROOT_KEY;
+}
+
+/**
+ * Gives every target entry the key of the reference entry it corresponds to, or a new key.
+ * Matching order: same id (if kind and title/URL are compatible), folders by title under the
+ * same parent, then bookmarks by URL (preferring the same parent and title).
+ * @param {Array<object>} referenceEntries - Entries that already have keys.
+ * @param {Array<object>} targetEntries - Entries to key.
+ * @param {string} newKeyPrefix - Prefix for the keys of unmatched entries.
+ */
+function matchEntries(referenceEntries, targetEntries, newKeyPrefix) {
+  const available = new Set(referenceEntries);
+  const claim = (target, reference) => {
+    target.key = reference.key;
+    available.delete(reference);
+  };
+
+  const referencesById = new Map();
+  for (const reference of referenceEntries) {
+    if (reference.node.id !== undefined && !referencesById.has(reference.node.id)) {
+      referencesById.set(reference.node.id, reference);
+    }
+  }
+  for (const target of targetEntries) {
+    const reference = target.node.id !== undefined ? referencesById.get(target.node.id) : undefined;
+    if (!reference || !available.has(reference) || reference.isFolder !== target.isFolder) continue;
+    // Ids are only unique per browser, so also require something else to agree
+    const compatible = target.isFolder
+      ? reference.node.title === target.node.title || parentKeyOf(reference) === parentKeyOf(target)
+      : reference.node.url === target.node.url || reference.node.title === target.node.title;
+    if (compatible) claim(target, reference);
+  }
+
+  const foldersByParentAndTitle = new Map();
+  const bookmarksByUrl = new Map();
+  for (const reference of referenceEntries) {
+    const index = reference.isFolder ? foldersByParentAndTitle : bookmarksByUrl;
+    const lookupKey = reference.isFolder ? `${parentKeyOf(reference)}\u0000${reference.node.title}` : reference.node.url;
+    if (!index.has(lookupKey)) index.set(lookupKey, []);
+    index.get(lookupKey).push(reference);
+  }
+  for (const target of targetEntries) {
+    if (target.key || !target.isFolder || parentKeyOf(target) === null) continue;
+    const candidates = foldersByParentAndTitle.get(`${parentKeyOf(target)}\u0000${target.node.title}`) || [];
+    const reference = candidates.find(candidate => available.has(candidate));
+    if (reference) claim(target, reference);
+  }
+  for (const target of targetEntries) {
+    if (target.key || target.isFolder) continue;
+    const candidates = (bookmarksByUrl.get(target.node.url) || []).filter(candidate => available.has(candidate));
+    const sameParent = candidate => parentKeyOf(candidate) === parentKeyOf(target);
+    const sameTitle = candidate => candidate.node.title === target.node.title;
+    const reference = candidates.find(candidate => sameParent(candidate) && sameTitle(candidate)) ||
+      candidates.find(sameParent) || candidates.find(sameTitle) || candidates[0];
+    if (reference) claim(target, reference);
+  }
+
+  targetEntries.forEach((target, index) => {
+    if (!target.key) target.key = `${newKeyPrefix}${index}`;
+  });
+}
+
+/**
+ * Returns the mergeable values of an entry.
+ * @param {object} entry - A flattened entry.
+ * @returns {{title: string, url: string|undefined, parentKey: string, isFolder: boolean, entry: object}}
+ */
+function valuesOf(entry) {
+  return { title: entry.node.title || '', url: entry.node.url, parentKey: parentKeyOf(entry), isFolder: entry.isFolder, entry };
+}
+
+/**
+ * Checks whether an entry differs from its base version.
+ * @param {object} baseValues - Values of the base entry.
+ * @param {object} values - Values of the entry on one side.
+ * @returns {boolean}
+ */
+function hasChanged(baseValues, values) {
+  return MERGED_PROPERTIES.some(property => baseValues[property] !== values[property]);
+}
+
+/**
+ * Merges the stored bookmark copy with the live browser tree.
+ * - With a base, a change on one side wins over the unchanged other side, including deletions.
+ * - If both sides changed the same property differently, the browser's value is kept and a conflict is reported.
+ * - A node deleted on one side but changed on the other is kept and reported.
+ * - Without a base (first sync), the trees are combined and the browser's values win.
+ * @param {Array<object>} baseTree - The live tree at the last sync point ([] if there is none).
+ * @param {Array<object>} storedTree - The stored copy (importedDataList.bookmarks).
+ * @param {Array<object>} liveTree - The current tree from chrome.bookmarks.getTree.
+ * @returns {{bookmarks: Array<object>, conflicts: Array<{title: string, path: string, message: string}>}}
+ */
+export function mergeBookmarkTrees(baseTree = [], storedTree = [], liveTree = []) {
+  const baseEntries = flattenTree(baseTree);
+  const storedEntries = flattenTree(storedTree);
+  const liveEntries = flattenTree(liveTree);
+
+  baseEntries.forEach((entry, index) => { entry.key = `base-${index}`; });
+  matchEntries(baseEntries, storedEntries, 'stored-');
+  const storedOnlyEntries = storedEntries.filter(entry => entry.key.startsWith('stored-'));
+  matchEntries([...baseEntries, ...storedOnlyEntries], liveEntries, 'live-');
+
+  const byKey = entries => new Map(entries.map(entry => [entry.key, entry]));
+  const base = byKey(baseEntries);
+  const stored = byKey(storedEntries);
+  const live = byKey(liveEntries);
+
+  const merged = new Map();
+  const conflicts = [];
+  const addConflict = (key, message) => conflicts.push({ key, message });
+
+  for (const key of new Set([...base.keys(), ...stored.keys(), ...live.keys()])) {
+    const baseEntry = base.get(key);
+    const storedEntry = stored.get(key);
+    const liveEntry = live.get(key);
+
+    if (!baseEntry) {
+      // Added on one or both sides
+      merged.set(key, valuesOf(liveEntry || storedEntry));
+      continue;
+    }
+    if (!storedEntry && !liveEntry) continue;
+
+    const baseValues = valuesOf(baseEntry);
+    if (!storedEntry || !liveEntry) {
+      // Deleted on one side: the deletion wins unless the other side changed the node
+      const survivor = valuesOf(storedEntry || liveEntry);
+      if (hasChanged(baseValues, survivor)) {
+        merged.set(key, survivor);
+        addConflict(key, storedEntry
+          ? 'Changed in the stored copy but deleted in the browser; the changed version was kept.'
+          : 'Changed in the browser but deleted from the stored copy; the changed version was kept.');
+      }
+      continue;
+    }
+
+    const storedValues = valuesOf(storedEntry);
+    const liveValues = valuesOf(liveEntry);
+    const values = { isFolder: liveValues.isFolder, entry: liveEntry };
+    for (const property of MERGED_PROPERTIES) {
+      const baseValue = baseValues[property];
+      const storedValue = storedValues[property];
+      const liveValue = liveValues[property];
+      if (storedValue === liveValue || storedValue === baseValue) {
+        values[property] = liveValue;
+      } else if (liveValue === baseValue) {
+        values[property] = storedValue;
+      } else {
+        values[property] = liveValue;
+        if (property === 'title') {
+          addConflict(key, `Renamed to "${storedValue}" in the stored copy and "${liveValue}" in the browser; kept "${liveValue}".`);
+        } else if (property === 'url') {
+          addConflict(key, `URL changed to ${storedValue} in the stored copy and ${liveValue} in the browser; kept the browser's.`);
+        } else {
+          addConflict(key, "Moved to different folders in the stored copy and the browser; kept the browser's location.");
+        }
+      }
+    }
+    merged.set(key, values);
+  }
+
+  // Keep deleted folders that still hold surviving nodes
+  let resurrected = true;
+  while (resurrected) {
+    resurrected = false;
+    for (const values of [...merged.values()]) {
+      const parentKey = values.parentKey;
+      if (parentKey === ROOT_KEY || merged.has(parentKey)) continue;
+      merged.set(parentKey, valuesOf(live.get(parentKey) || stored.get(parentKey) || base.get(parentKey)));
+      addConflict(parentKey, 'Folder was deleted on one side but has new or changed items on the other; it was kept.');
+      resurrected = true;
+    }
+  }
+
+  // Crossed folder moves can form a cycle; put such folders back where they were in the base
+  for (const [key, values] of merged) {
+    const seen = new Set([key]);
+    let parentKey = values.parentKey;
+    while (parentKey !== ROOT_KEY) {
+      if (seen.has(parentKey)) {
+        const baseParentKey = base.has(key) ? parentKeyOf(base.get(key)) : ROOT_KEY;
+        values.parentKey = merged.has(baseParentKey) ? baseParentKey : ROOT_KEY;
+        addConflict(key, 'Moved into its own subfolder by combining both sides; it was put back in its original folder.');
+        break;
+      }
+      seen.add(parentKey);
+      parentKey = merged.get(parentKey).parentKey;
+    }
+  }
+
+  const childKeys = new Map();
+  for (const [key, values] of merged) {
+    if (!childKeys.has(values.parentKey)) childKeys.set(values.parentKey, new Set());
+    childKeys.get(values.parentKey).add(key);
+  }
+
+  // Browser order first; nodes only in the stored copy go after their preceding stored sibling
+  const orderedChildKeys = (parentKey) => {
+    const keys = childKeys.get(parentKey) || new Set();
+    const childrenIn = (entries, roots) => parentKey === ROOT_KEY
+      ? roots.filter(entry => !entry.parent)
+      : (entries.get(parentKey)?.children || []);
+    const ordered = childrenIn(live, liveEntries).map(entry => entry.key).filter(key => keys.has(key));
+    let insertAt = 0;
+    for (const entry of childrenIn(stored, storedEntries)) {
+      if (!keys.has(entry.key)) continue;
+      const existingIndex = ordered.indexOf(entry.key);
+      if (existingIndex !== -1) {
+        insertAt = existingIndex + 1;
+      } else {
+        ordered.splice(insertAt, 0, entry.key);
+        insertAt += 1;
+      }
+    }
+    keys.forEach(key => { if (!ordered.includes(key)) ordered.push(key); });
+    return ordered;
+  };
+
+  const buildNode = (key) => {
+    const values = merged.get(key);
+    const { children, ...properties } = values.entry.node;
+    const node = { ...properties, title: values.title };
+    if (values.isFolder) {
+      node.children = orderedChildKeys(key).map(buildNode);
+    } else {
+      node.url = values.url;
+    }
+    return node;
+  };
+
+  const pathOf = (key) => {
+    const titles = [];
+    let parentKey = merged.get(key)?.parentKey;
+    while (parentKey && parentKey !== ROOT_KEY && merged.has(parentKey)) {
+      const { title } = merged.get(parentKey);
+      if (title) titles.unshift(title);
+      parentKey = merged.get(parentKey).parentKey;
+    }
+    return titles.join(' / ');
+  };
+
+  return {
+    bookmarks: orderedChildKeys(ROOT_KEY).map(buildNode),
+    conflicts: conflicts.map(({ key, message }) => ({
+      title: merged.get(key)?.title || (live.get(key) || stored.get(key) || base.get(key)).node.title || '(untitled)',
+      path: pathOf(key),
+      message
+    }))
+  };
+}
+
+/**
+ * Strips a bookmark tree down to what the merge needs, to keep the stored base small.
+ * @param {Array<object>} nodes - The bookmark nodes.
+ * @returns {Array<object>}
+ */
+function toBaseTree(nodes) {
+  return (nodes || []).map(node => node.url
+    ? { id: node.id, title: node.title, url: node.url }
+    : { id: node.id, title: node.title, children: toBaseTree(node.children) });
+}
+
+/**
+ * Reads the live tree saved at the last sync point.
+ * @returns {Promise<Array<object>|null>} The base tree, or null if there has been no sync yet.
+ */
+export function getBookmarkMergeBase() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(BOOKMARK_MERGE_BASE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("Error getting bookmark merge base:", chrome.runtime.lastError);
+        return resolve(null);
+      }
+      resolve(result[BOOKMARK_MERGE_BASE_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Records the live tree as the base for future merges. Call it whenever the stored copy
+ * has just been saved as the result of a merge with that live tree.
+ * @param {Array<object>} liveTree - The current tree from chrome.bookmarks.getTree.
+ * @returns {Promise<void>}
+ */
+export function saveBookmarkMergeBase(liveTree) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [BOOKMARK_MERGE_BASE_KEY]: toBaseTree(liveTree) }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving bookmark merge base:", chrome.runtime.lastError);
+        return reject(chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Forgets the merge base. Call it when the stored copy is replaced by data that was not merged
+ * with the live tree (an import or restore), so the next merge combines both sides instead.
+ * @returns {Promise<void>}
+ */
+export function clearBookmarkMergeBase() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(BOOKMARK_MERGE_BASE_KEY, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error clearing bookmark merge base:", chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
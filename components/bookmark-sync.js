@@ -0,0 +1,205 @@
+// bookmark-sync.js
+// Reconciles an imported bookmark tree with the live browser tree instead of deleting and recreating it.
+// Planning runs on a copy of the live tree: matching nodes are kept, bookmarks found elsewhere are moved, missing ones created.
+// The plan is a list of create/move operations plus the predicted tree, so the import preview shows exactly what will be applied.
+// Bookmark Sync Component
+
+// Known titles of the permanent top-level folders, for files that carry no folderType or ids (e.g. HTML exports)
+const PERMANENT_FOLDER_TITLES = {
+  'bookmarks-bar': ['bookmarks bar', 'favorites bar', 'favourites bar', 'bookmarks toolbar'],
+  'other': ['other bookmarks', 'other favorites', 'other favourites'],
+  'mobile': ['mobile bookmarks', 'mobile favorites', 'mobile favourites']
+};
+// Chrome's stable ids for the permanent folders
+const PERMANENT_FOLDER_IDS = { '1': 'bookmarks-bar', '2': 'other', '3': 'mobile' };
+
+/**
+ * Works out which permanent folder (bookmarks bar, other, mobile) a top-level node represents.
+ * @param {object} node - A child of the bookmark root.
+ * @returns {string|null} The folder type, or null if it is not a permanent folder.
+ */
+function getPermanentFolderType(node) {
+  if (node.folderType) return node.folderType;
+  if (PERMANENT_FOLDER_IDS[node.id]) return PERMANENT_FOLDER_IDS[node.id];
+  const title = (node.title || '').toLowerCase();
+  const type = Object.keys(PERMANENT_FOLDER_TITLES).find(key => PERMANENT_FOLDER_TITLES[key].includes(title));
+  return type || null;
+}
+
+/**
+ * Checks whether a node list is a full tree, i.e. a single untitled root holding the top-level folders.
+ * @param {Array<object>} nodes - The imported bookmark nodes.
+ * @returns {boolean}
+ */
+function isFullBookmarkTree(nodes) {
+  return nodes.length === 1 && !nodes[0].url && !nodes[0].title && Array.isArray(nodes[0].children);
+}
+
+/**
+ * Pairs imported nodes with the live folders they are synced into.
+ * A full tree maps its top-level folders onto the browser's permanent folders; anything that
+ * does not match one (and any partial tree) goes into the bookmarks bar.
+ * @param {object} liveRoot - The root node of the live tree copy.
+ * @param {Array<object>} importedBookmarks - The imported bookmark nodes.
+ * @returns {Array<{folder: object, children: Array<object>}>}
+ */
+function getSyncTargets(liveRoot, importedBookmarks) {
+  const topLevelFolders = (liveRoot.children || []).filter(node => !node.url && !node.unmodifiable);
+  const bookmarksBar = topLevelFolders.find(node => getPermanentFolderType(node) === 'bookmarks-bar') || topLevelFolders[0];
+  if (!bookmarksBar) return [];
+
+  if (!isFullBookmarkTree(importedBookmarks)) {
+    return [{ folder: bookmarksBar, children: importedBookmarks }];
+  }
+
+  const targets = new Map();
+  const unmatched = [];
+  for (const importedFolder of importedBookmarks[0].children) {
+    const type = importedFolder.url ? null : getPermanentFolderType(importedFolder);
+    const liveFolder = importedFolder.url ? null : topLevelFolders.find(node =>
+      (type && getPermanentFolderType(node) === type) || node.title === importedFolder.title
+    );
+    if (liveFolder) {
+      if (!targets.has(liveFolder)) targets.set(liveFolder, []);
+      targets.get(liveFolder).push(...(importedFolder.children || []));
+    } else {
+      unmatched.push(importedFolder);
+    }
+  }
+  if (unmatched.length) {
+    if (!targets.has(bookmarksBar)) targets.set(bookmarksBar, []);
+    targets.get(bookmarksBar).push(...unmatched);
+  }
+  return [...targets].map(([folder, children]) => ({ folder, children }));
+}
+
+/**
+ * Plans the sync of imported bookmarks into the live tree without touching the browser.
+ * - Folders match by title and bookmarks by URL (preferring the same title) within the same parent.
+ * - A bookmark whose URL only exists elsewhere in the live tree is moved instead of duplicated.
+ * - Everything else is created; the imported order is applied through the index of each operation.
+ * Live nodes that are not in the import are left in place, after the imported ones.
+ * @param {Array<object>} liveTree - The current tree from chrome.bookmarks.getTree.
+ * @param {Array<object>} importedBookmarks - The bookmarks to sync.
+ * @returns {{operations: Array<object>, predictedTree: Array<object>}} Create/move operations in order
+ *   (created nodes get temporary 'new-N' ids), and a copy of the tree as it will look afterwards.
+ */
+export function planBookmarkSync(liveTree, importedBookmarks) {
+  const predictedTree = JSON.parse(JSON.stringify(liveTree || []));
+  const operations = [];
+  if (!predictedTree.length || !Array.isArray(importedBookmarks) || !importedBookmarks.length) {
+    return { operations, predictedTree };
+  }
+
+  const parents = new Map(); // live node -> parent folder
+  const indexParents = (folder) => {
+    for (const child of folder.children || []) {
+      parents.set(child, folder);
+      indexParents(child);
+    }
+  };
+  indexParents(predictedTree[0]);
+
+  const targets = getSyncTargets(predictedTree[0], importedBookmarks);
+  const matches = new Map(); // imported node -> live node
+  const claimed = new Set(); // live nodes already matched
+
+  // Pass 1: match nodes that are already where the import puts them
+  const matchInPlace = (folder, importedChildren) => {
+    for (const imported of importedChildren) {
+      const candidates = (folder.children || []).filter(node => !claimed.has(node) && !!node.url === !!imported.url);
+      const match = imported.url
+        ? candidates.find(node => node.url === imported.url && node.title === imported.title) ||
+          candidates.find(node => node.url === imported.url)
+        : candidates.find(node => node.title === imported.title);
+      if (!match) continue;
+      matches.set(imported, match);
+      claimed.add(match);
+      if (!imported.url) matchInPlace(match, imported.children || []);
+    }
+  };
+  targets.forEach(({ folder, children }) => matchInPlace(folder, children));
+
+  // Unmatched live bookmarks, by URL, are candidates for moves
+  const movable = new Map();
+  for (const [node, parent] of parents) {
+    if (!node.url || claimed.has(node) || node.unmodifiable || parent.unmodifiable) continue;
+    if (!movable.has(node.url)) movable.set(node.url, []);
+    movable.get(node.url).push(node);
+  }
+  const takeMovable = (imported) => {
+    const candidates = movable.get(imported.url) || [];
+    const index = Math.max(0, candidates.findIndex(node => node.title === imported.title));
+    return candidates.length ? candidates.splice(index, 1)[0] : null;
+  };
+
+  // Pass 2: put every imported node in place, in order
+  let nextTempId = 0;
+  const place = (folder, importedChildren) => {
+    folder.children = folder.children || [];
+    importedChildren.forEach((imported, index) => {
+      let node = matches.get(imported) || (imported.url ? takeMovable(imported) : null);
+      if (node) {
+        // Earlier siblings already occupy 0..index-1, so the node is at index or later
+        if (parents.get(node) !== folder || folder.children.indexOf(node) !== index) {
+          const oldParent = parents.get(node);
+          oldParent.children.splice(oldParent.children.indexOf(node), 1);
+          folder.children.splice(index, 0, node);
+          parents.set(node, folder);
+          node.parentId = folder.id;
+          operations.push({ type: 'move', id: node.id, parentId: folder.id, index });
+        }
+      } else {
+        node = { id: `new-${++nextTempId}`, parentId: folder.id, title: imported.title || '' };
+        if (imported.url) {
+          node.url = imported.url;
+        } else {
+          node.children = [];
+        }
+        folder.children.splice(index, 0, node);
+        parents.set(node, folder);
+        operations.push({ type: 'create', id: node.id, parentId: folder.id, index, title: node.title, url: node.url });
+      }
+      matches.set(imported, node);
+    });
+    importedChildren.forEach(imported => {
+      if (!imported.url) place(matches.get(imported), imported.children || []);
+    });
+  };
+  targets.forEach(({ folder, children }) => place(folder, children));
+
+  return { operations, predictedTree };
+}
+
+/**
+ * Applies the operations of a sync plan to the browser's bookmarks, in order.
+ * @param {Array<object>} operations - The operations from planBookmarkSync.
+ * @returns {Promise<{created: number, moved: number}>}
+ */
+export async function applyBookmarkSyncPlan(operations) {
+  const createdIds = new Map(); // temporary id -> real id
+  const resolveId = id => createdIds.get(id) || id;
+  const result = { created: 0, moved: 0 };
+
+  for (const operation of operations) {
+    if (operation.type === 'create') {
+      const details = { parentId: resolveId(operation.parentId), index: operation.index, title: operation.title };
+      if (operation.url) details.url = operation.url;
+      const created = await new Promise((resolve, reject) => {
+        chrome.bookmarks.create(details, node =>
+          chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(node)
+        );
+      });
+      createdIds.set(operation.id, created.id);
+      result.created += 1;
+    } else if (operation.type === 'move') {
+      await new Promise((resolve, reject) => {
+        chrome.bookmarks.move(operation.id, { parentId: resolveId(operation.parentId), index: operation.index }, node =>
+          chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(node)
+        );
+      });
+      result.moved += 1;
+    }
+  }
+  return result;
+}
@@ -5,6 +5,14 @@
 // Data Handler Component
 import { displayExtensions } from './extension-display.js';
 import { displayBookmarks } from './bookmark-display.js';
+import { isNetscapeBookmarkFile, parseNetscapeBookmarks } from './bookmark-html-parser.js';
+import { SCHEMA_VERSION, migrateBackupData } from './schema-migrations.js';
+import { validateBackupData, confirmValidationReport } from './backup-validator.js';
+import { diffBookmarkTrees, diffExtensionLists, confirmImportPreview } from './import-preview.js';
+import { planBookmarkSync, applyBookmarkSyncPlan } from './bookmark-sync.js';
+import { mergeBookmarkTrees, getBookmarkMergeBase, clearBookmarkMergeBase } from './bookmark-merge.js';
+import { getExtensionProfiles, importExtensionProfiles } from './extension-profiles.js';
+import { getInstalledExtensionRecords } from './extension-metadata.js';
 
 // Detect current browser environment
 /**
@@ -77,7 +85,9 @@ function addBrowserToBookmarkNodes(nodes, browserName) {
   });
 }
 
-export const SCHEMA_VERSION = 1;
+// Re-exported so existing modules can keep importing the format version from here
+export { SCHEMA_VERSION };
+
 /**
  * Removes a bookmark by its ID using the Chrome Bookmarks API.
  * @param {string} bookmarkId - The ID of the bookmark to remove.
@@ -123,27 +133,13 @@ export async function exportAllData(browserName) {
     // 1. Get the consolidated data from storage
     const storedData = await getStoredData(); // Uses the helper function
 
-    // Fetch live installed extensions to include uninstalled ones in export
-    let installedRaw = [];
-    if (chrome.management && chrome.management.getAll) {
-      try {
-        installedRaw = await new Promise((resolve, reject) => {
-          chrome.management.getAll(items =>
-            chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items)
-          );
-        });
-      } catch (err) {
-        console.warn("Could not fetch installed extensions:", err);
-      }
+    // Fetch live installed extensions (with version, state and icon) to include uninstalled ones in export
+    let installedExtensions = [];
+    try {
+      installedExtensions = await getInstalledExtensionRecords(storedData?.extensions);
+    } catch (err) {
+      console.warn("Could not fetch installed extensions:", err);
     }
-    const installedExtensions = Array.isArray(installedRaw)
-      ? installedRaw.map(item => ({
-          id: item.id,
-          name: item.name,
-          homepageUrl: item.homepageUrl,
-          updateUrl: item.updateUrl
-        }))
-      : [];
 
     // Merge stored extensions with live installed list, keeping all extensions
     const extensionsToExport = mergeExtensionLists(storedData?.extensions || [], installedExtensions);
@@ -167,16 +163,21 @@ export async function exportAllData(browserName) {
     // The addBrowserToBookmarkNodes function returns a new tree with the 'browser' property added.
     const processedBookmarkTreeLive = addBrowserToBookmarkNodes(bookmarkTreeLive, DETECTED_BROWSER);
 
-    // Merge stored bookmarks with live list, keeping all bookmarks
-    const bookmarksToExport = mergeBookmarkTrees(storedData?.bookmarks || [], processedBookmarkTreeLive);
+    // Three-way merge of stored bookmarks with the live tree (base: the last synced live tree)
+    const mergeBase = await getBookmarkMergeBase();
+    const { bookmarks: bookmarksToExport, conflicts } = mergeBookmarkTrees(mergeBase || [], storedData?.bookmarks || [], processedBookmarkTreeLive);
+    if (conflicts.length) {
+      console.warn("Bookmark merge conflicts in export:", conflicts);
+    }
 
     // 3. Prepare the complete export object
     const exportData = {
-      schemaVersion: storedData?.schemaVersion || SCHEMA_VERSION, // Use stored version or default
+      schemaVersion: SCHEMA_VERSION, // Stored data is migrated to the current version on load
       exportedTimestamp: new Date().toISOString(), // Fresh timestamp for this export
       exportedFromBrowser: browserName,
       extensions: extensionsToExport, // Use the consolidated list
-      bookmarks: bookmarksToExport // Use the merged bookmarks list
+      bookmarks: bookmarksToExport, // Use the merged bookmarks list
+      profiles: await getExtensionProfiles() // Named extension profiles
     };
 
     const jsonString = JSON.stringify(exportData, null, 2);
@@ -197,6 +198,25 @@ export async function exportAllData(browserName) {
   }
 }
 
+/**
+ * Parses the contents of an import file: either our own JSON export or a Netscape bookmark
+ * HTML file exported by any browser, which is wrapped into the same export structure.
+ * @param {string} text - The file contents.
+ * @returns {object} The data to import.
+ */
+function parseImportFileContents(text) {
+  if (isNetscapeBookmarkFile(text)) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      exportedTimestamp: new Date().toISOString(),
+      exportedFromBrowser: 'Unknown',
+      extensions: [],
+      bookmarks: parseNetscapeBookmarks(text)
+    };
+  }
+  return JSON.parse(text);
+}
+
 export function importAllData({
   file,
   extensionList,
@@ -207,14 +227,24 @@ export function importAllData({
   const reader = new FileReader();
   reader.onload = async function(event) {
     try {
-      const importedFileData = JSON.parse(event.target.result);
+      const parsedFileData = parseImportFileContents(event.target.result);
 
-      if (typeof importedFileData !== 'object' || importedFileData === null) {
+      if (typeof parsedFileData !== 'object' || parsedFileData === null) {
         throw new Error("Invalid JSON file: Not an object.");
       }
-      if (!importedFileData.schemaVersion || importedFileData.schemaVersion !== SCHEMA_VERSION) {
-        console.warn(`Importing data with schema version ${importedFileData.schemaVersion || 'unknown'}. Expected ${SCHEMA_VERSION}.`);
+      // Upgrade older files to the current format; files from a newer version are refused here
+      const migratedFileData = migrateBackupData(parsedFileData);
+
+      // Refuse malformed entries; let the user import the valid subset or cancel
+      const report = validateBackupData(migratedFileData);
+      if (!report.valid) {
+        console.warn("Import file contains invalid entries:", report.errors);
+        if (!(await confirmValidationReport(report, 'import'))) {
+          console.log("Import cancelled by user.");
+          return;
+        }
       }
+      const importedFileData = report.validData;
 
       // Get currently stored data
       const storedData = await getStoredData();
@@ -226,33 +256,38 @@ export function importAllData({
 
       // Prepare data to be saved
       const dataToSave = {
-          schemaVersion: importedFileData.schemaVersion || SCHEMA_VERSION,
+          schemaVersion: SCHEMA_VERSION,
           exportedTimestamp: importedFileData.exportedTimestamp || new Date().toISOString(),
           exportedFromBrowser: importedFileData.exportedFromBrowser || 'Unknown',
           extensions: mergedExtensions,
           bookmarks: importedFileData.bookmarks || storedData?.bookmarks || []
       };
 
-      // Fetch installed extensions for display comparison
-      let installedExtensionsMap = new Map();
-      if (chrome.management && chrome.management.getAll) {
+      // Preview what the import changes before anything is displayed or written
+      let syncPlan = null;
+      let bookmarkChanges = null;
+      if (dataToSave.bookmarks && dataToSave.bookmarks.length > 0 && typeof chrome !== 'undefined' && chrome.bookmarks) {
         try {
-          const installed = await new Promise((resolve, reject) => {
-            chrome.management.getAll(items => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items));
+          const currentBookmarks = await new Promise(resolve => {
+            chrome.bookmarks.getTree(items => resolve(items || []));
           });
-          installedExtensionsMap = new Map(installed.map(ext => [ext.id, ext]));
+          syncPlan = planBookmarkSync(currentBookmarks, dataToSave.bookmarks);
+          bookmarkChanges = diffBookmarkTrees(currentBookmarks, syncPlan.predictedTree);
         } catch (err) {
-          console.error("Could not get installed extensions for comparison:", err);
-          alert("Warning: Could not verify currently installed extensions.");
+          console.error("Could not read browser bookmarks for the import preview:", err);
         }
       }
+      const extensionChanges = diffExtensionLists(storedExtensions, mergedExtensions);
+      if (!(await confirmImportPreview({ bookmarkChanges, extensionChanges }))) {
+        console.log("Import cancelled by user.");
+        return;
+      }
 
       // Display merged extensions
       if (dataToSave.extensions && dataToSave.extensions.length > 0) {
         displayExtensions({
           extensionList,
           extensionsToDisplay: dataToSave.extensions,
-          installedExtensionsMap,
           currentContextBrowserName
         });
         switchTab('extensions');
@@ -264,22 +299,11 @@ export function importAllData({
       if (dataToSave.bookmarks && dataToSave.bookmarks.length > 0) {
         displayBookmarks(bookmarksTreeContainer, dataToSave.bookmarks);
         
-        // Sync bookmarks with browser UI if API is available
-        if (typeof chrome !== 'undefined' && chrome.bookmarks) {
+        // Sync bookmarks with browser UI (the plan was confirmed in the preview above)
+        if (syncPlan) {
           try {
-            // First get current bookmarks bar to preserve its structure
-            const currentBookmarks = await new Promise(resolve => {
-              chrome.bookmarks.getTree(items => resolve(items));
-            });
-            
-            // Find the bookmarks bar folder
-            const bookmarksBar = findBookmarksBar(currentBookmarks);
-            
-            // Merge imported bookmarks into the bookmarks bar
-            if (bookmarksBar) {
-              await mergeBookmarksIntoBrowser(dataToSave.bookmarks, bookmarksBar.id);
-              console.log("Bookmarks successfully synced with browser UI");
-            }
+            const { created, moved } = await applyBookmarkSyncPlan(syncPlan.operations);
+            console.log(`Bookmarks synced with browser UI: ${created} created, ${moved} moved.`);
           } catch (err) {
             console.error("Error syncing bookmarks with browser:", err);
           }
@@ -303,6 +327,9 @@ export function importAllData({
               resolve();
           });
       });
+      // The stored bookmarks were replaced, so the next merge starts from a fresh sync point
+      await clearBookmarkMergeBase();
+      await importExtensionProfiles(importedFileData.profiles);
 
 
     } catch (e) {
@@ -374,146 +401,6 @@ export async function getStoredData() {
         });
     });
 }
-/**
- * Deeply merges two bookmark trees, deduplicating by URL and title.
- * - Folders with the same title are merged recursively, except for 'Bookmarks Bar', which is replaced.
- * - Bookmarks are only added if not already present (by URL and title).
- * This ensures a comprehensive, non-redundant bookmark structure after import/merge.
- */
-export function mergeBookmarkTrees(listA = [], listB = []) {
-    // Deep clone listA to avoid mutating input
-    const merged = JSON.parse(JSON.stringify(listA));
-
-    // Helper to deduplicate bookmarks by URL and title
-    const isDuplicateBookmark = (target, node) => {
-        return target.some(t =>
-            t.url && node.url &&
-            t.url === node.url &&
-            t.title === node.title
-        );
-    };
-
-    const isDuplicateFolder = (target, node) => {
-        return target.some(t =>
-            t.children && node.children && // Both are folders
-            t.url && node.url && // Both have URLs
-            t.url === node.url // URLs match
-        );
-    };
-
-    // Recursively merge nodes from source into target, handling folders and bookmarks.
-    const mergeNodes = (target, source) => {
-        for (const srcNode of source) {
-            const srcNodeCopy = JSON.parse(JSON.stringify(srcNode)); // Work with a copy
-
-            if (srcNodeCopy.children) { // srcNodeCopy is a folder
-                const existingFolderInTarget = target.find(
-                    t => t.children && t.title === srcNodeCopy.title
-                );
-
-                if (existingFolderInTarget) { // Folder with same title exists in target
-                    if (srcNodeCopy.title === 'Bookmarks Bar') {
-                        // For 'Bookmarks Bar', replace its children with srcNodeCopy's children.
-                        existingFolderInTarget.children = srcNodeCopy.children; // srcNodeCopy.children is already a deep copy
-                    } else {
-                        // For other folders, recursively merge their children.
-                        // Also, ensure the title of existing folder remains consistent (e.g. casing from srcNodeCopy if preferred)
-                        existingFolderInTarget.title = srcNodeCopy.title; // Ensures title (e.g. casing) from srcNode is used
-                        mergeNodes(existingFolderInTarget.children, srcNodeCopy.children);
-                    }
-                } else { // No folder with the same title exists in target
-                    target.push(srcNodeCopy); // Add the new folder (already a deep copy)
-                }
-            } else { // srcNodeCopy is a bookmark (file)
-                // Only add if not a duplicate (by URL and title)
-                if (!isDuplicateBookmark(target, srcNodeCopy)) {
-                    target.push(srcNodeCopy);
-                }
-            }
-        }
-    };
-
-    mergeNodes(merged, listB);
-    return merged;
-}
-
-/**
- * Finds the Bookmarks Bar folder in the bookmark tree
- */
-/**
- * Finds the Bookmarks Bar folder in the bookmark tree.
- * This is necessary for syncing imported bookmarks into the correct location in the browser.
- */
-function findBookmarksBar(bookmarkTree) {
-    if (!bookmarkTree || !bookmarkTree.length) return null;
-    
-    // First level is usually the root node
-    const root = bookmarkTree[0];
-    if (!root.children) return null;
-    
-    // Look for Bookmarks Bar in root's children
-    return root.children.find(node =>
-        node.title === 'Bookmarks Bar' ||
-        (node.id && node.id.startsWith('1')) // Chrome's bookmarks bar usually has ID starting with 1
-    );
-}
-
-/**
- * Merges bookmarks into the browser's bookmarks bar
- */
-/**
- * Merges imported bookmarks into the browser's bookmarks bar.
- * - Clears existing bookmarks (except special folders) before adding new ones.
- * - Recursively creates folders and bookmarks to match the imported structure.
- * This is used during import to sync the UI and browser state.
- */
-async function mergeBookmarksIntoBrowser(importedBookmarks, bookmarksBarId) {
-    if (!importedBookmarks || !importedBookmarks.length) return;
-    
-    // First clear existing bookmarks bar (except special folders)
-    const existingBookmarks = await new Promise(resolve => {
-        chrome.bookmarks.getChildren(bookmarksBarId, children => resolve(children || []));
-    });
-    
-    // Remove non-special bookmarks
-    for (const bookmark of existingBookmarks) {
-        if (!bookmark.title.startsWith('_')) { // Skip special folders
-            await new Promise(resolve => {
-                chrome.bookmarks.remove(bookmark.id, () => resolve());
-            });
-        }
-    }
-    
-    // Add imported bookmarks recursively
-    const addBookmarks = async (parentId, bookmarks) => {
-        for (const bookmark of bookmarks) {
-            if (bookmark.children) {
-                // Create folder
-                const newFolder = await new Promise(resolve => {
-                    chrome.bookmarks.create({
-                        parentId,
-                        title: bookmark.title
-                    }, folder => resolve(folder));
-                });
-                
-                // Add children recursively
-                await addBookmarks(newFolder.id, bookmark.children);
-            } else {
-                // Create bookmark
-                await new Promise(resolve => {
-                    chrome.bookmarks.create({
-                        parentId,
-                        title: bookmark.title,
-                        url: bookmark.url
-                    }, () => resolve());
-                });
-            }
-        }
-    };
-    
-    await addBookmarks(bookmarksBarId, importedBookmarks);
-}
-
 /**
  * Merges two lists of extension objects, removing duplicates based on ID.
  * Prioritizes extensions from listB in case of conflict.
@@ -0,0 +1,93 @@
+// dialog.js
+// Modal dialog for reports that need a decision, such as import validation errors or change previews.
+// Renders a title, a short message and grouped item lists inside a native <dialog>, with confirm and cancel buttons.
+// Resolves to true or false so callers can await the user's choice.
+// Dialog Component
+
+// Long reports are truncated so the popup stays responsive
+const MAX_ITEMS_PER_SECTION = 200;
+
+/**
+ * Shows a modal dialog and waits for the user's choice.
+ * @param {object} options
+ * @param {string} options.title - The dialog heading.
+ * @param {string} [options.message] - A short explanation shown under the heading.
+ * @param {Array<{heading: string, items: Array<string>, className?: string}>} [options.sections] - Grouped lists of items.
+ * @param {string} [options.confirmLabel='OK'] - Label of the confirm button.
+ * @param {string} [options.cancelLabel='Cancel'] - Label of the cancel button; pass null to hide it.
+ * @returns {Promise<boolean>} True if confirmed, false if cancelled or dismissed with Escape.
+ */
+export function showDialog({ title, message = '', sections = [], confirmLabel = 'OK', cancelLabel = 'Cancel' }) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement('dialog');
+    dialog.classList.add('report-dialog');
+
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    dialog.appendChild(heading);
+
+    if (message) {
+      const messageElement = document.createElement('p');
+      messageElement.classList.add('report-dialog-message');
+      messageElement.textContent = message;
+      dialog.appendChild(messageElement);
+    }
+
+    const body = document.createElement('div');
+    body.classList.add('report-dialog-body');
+    sections.forEach(section => {
+      if (!section.items || section.items.length === 0) return;
+
+      const sectionHeading = document.createElement('h3');
+      sectionHeading.textContent = `${section.heading} (${section.items.length})`;
+      body.appendChild(sectionHeading);
+
+      const list = document.createElement('ul');
+      list.classList.add('report-dialog-list');
+      if (section.className) list.classList.add(section.className);
+      section.items.slice(0, MAX_ITEMS_PER_SECTION).forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = item;
+        list.appendChild(listItem);
+      });
+      if (section.items.length > MAX_ITEMS_PER_SECTION) {
+        const moreItem = document.createElement('li');
+        moreItem.classList.add('report-dialog-more');
+        moreItem.textContent = `...and ${section.items.length - MAX_ITEMS_PER_SECTION} more`;
+        list.appendChild(moreItem);
+      }
+      body.appendChild(list);
+    });
+    dialog.appendChild(body);
+
+    const actions = document.createElement('div');
+    actions.classList.add('report-dialog-actions');
+    const close = (confirmed) => {
+      dialog.close();
+      dialog.remove();
+      resolve(confirmed);
+    };
+    if (cancelLabel) {
+      const cancelButton = document.createElement('button');
+      cancelButton.classList.add('button', 'button-secondary');
+      cancelButton.textContent = cancelLabel;
+      cancelButton.addEventListener('click', () => close(false));
+      actions.appendChild(cancelButton);
+    }
+    const confirmButton = document.createElement('button');
+    confirmButton.classList.add('button', 'button-primary');
+    confirmButton.textContent = confirmLabel;
+    confirmButton.addEventListener('click', () => close(true));
+    actions.appendChild(confirmButton);
+    dialog.appendChild(actions);
+
+    // Escape closes the dialog; treat it as cancel
+    dialog.addEventListener('cancel', (event) => {
+      event.preventDefault();
+      close(false);
+    });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
@@ -0,0 +1,269 @@
+// duplicate-finder.js
+// Finds bookmarks in the live browser tree that point to the same page once their URLs are normalized.
+// Normalization ignores http/https, www., default ports, trailing slashes, tracking parameters and query order.
+// Renders the groups with each copy's folder path and deletes the extra copies through removeBookmarkById.
+// Duplicate Finder Component
+
+import { removeBookmarkById } from './data-handler.js';
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMETERS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'igshid', 'twclid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'spm'
+];
+const TRACKING_PARAMETER_PREFIXES = ['utm_', 'pk_', 'ga_'];
+
+/**
+ * Normalizes a bookmark URL so that copies of the same page compare equal.
+ * Non-web URLs are only trimmed.
+ * @param {string} url - The bookmark URL.
+ * @returns {string} The normalized URL.
+ */
+export function normalizeBookmarkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    return url.trim();
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return parsed.href;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams]
+    .filter(([name]) => {
+      const lowerName = name.toLowerCase();
+      return !TRACKING_PARAMETERS.includes(lowerName) &&
+        !TRACKING_PARAMETER_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  const hash = parsed.hash && parsed.hash !== '#' ? parsed.hash : '';
+
+  // The scheme is left out so http and https copies match
+  return `${host}${port}${path}${query}${hash}`;
+}
+
+/**
+ * Groups the bookmarks of a tree by normalized URL.
+ * @param {Array<object>} bookmarkTree - The tree from chrome.bookmarks.getTree.
+ * @returns {Array<{normalizedUrl: string, bookmarks: Array<{id: string, title: string, url: string, path: string, dateAdded: number}>}>}
+ *   Groups with more than one copy, largest first.
+ */
+export function findDuplicateBookmarks(bookmarkTree) {
+  const groups = new Map();
+  const visit = (nodes, path) => {
+    for (const node of nodes || []) {
+      if (node.url) {
+        const normalizedUrl = normalizeBookmarkUrl(node.url);
+        if (!groups.has(normalizedUrl)) groups.set(normalizedUrl, []);
+        groups.get(normalizedUrl).push({
+          id: node.id,
+          title: node.title || '(No Title)',
+          url: node.url,
+          path: path.join(' / '),
+          dateAdded: node.dateAdded
+        });
+      } else if (node.children && !node.unmodifiable) {
+        visit(node.children, node.title ? [...path, node.title] : path);
+      }
+    }
+  };
+  visit(bookmarkTree, []);
+
+  return [...groups]
+    .filter(([, bookmarks]) => bookmarks.length > 1)
+    .map(([normalizedUrl, bookmarks]) => ({ normalizedUrl, bookmarks }))
+    .sort((a, b) => b.bookmarks.length - a.bookmarks.length);
+}
+
+/**
+ * Picks the copy to keep by default: the oldest one.
+ * @param {{bookmarks: Array<object>}} group - A duplicate group.
+ * @returns {string} The id of the bookmark to keep.
+ */
+function getDefaultKeepId(group) {
+  const oldest = group.bookmarks.reduce((best, bookmark) =>
+    (bookmark.dateAdded || Infinity) < (best.dateAdded || Infinity) ? bookmark : best
+  );
+  return oldest.id;
+}
+
+/**
+ * Deletes every copy in a group except the one to keep.
+ * @param {{bookmarks: Array<object>}} group - A duplicate group.
+ * @param {string} keepId - The id of the bookmark to keep.
+ * @returns {Promise<{removed: number, failed: number}>}
+ */
+export async function removeDuplicateBookmarks(group, keepId) {
+  const result = { removed: 0, failed: 0 };
+  for (const bookmark of group.bookmarks) {
+    if (bookmark.id === keepId) continue;
+    try {
+      await removeBookmarkById(bookmark.id);
+      result.removed += 1;
+    } catch (error) {
+      console.error(`Failed to delete duplicate bookmark ${bookmark.id}:`, error);
+      result.failed += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Reads the live bookmark tree.
+ * @returns {Promise<Array<object>>}
+ */
+function getLiveBookmarkTree() {
+  return new Promise((resolve, reject) => {
+    chrome.bookmarks.getTree(tree =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(tree)
+    );
+  });
+}
+
+/**
+ * Renders the duplicate groups, each with a choice of the copy to keep and a delete button.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<object>} groups - Groups from findDuplicateBookmarks.
+ * @param {Function} onRemove - Called with [{group, keepId}] when the user deletes duplicates.
+ */
+function displayDuplicateGroups(container, groups, onRemove) {
+  container.innerHTML = '';
+  if (groups.length === 0) {
+    container.innerHTML = '<p class="empty-text">No duplicate bookmarks found.</p>';
+    return;
+  }
+
+  const keepIds = new Map(groups.map(group => [group, getDefaultKeepId(group)]));
+
+  const summary = document.createElement('div');
+  summary.classList.add('duplicates-summary');
+  const extraCopies = groups.reduce((count, group) => count + group.bookmarks.length - 1, 0);
+  const summaryText = document.createElement('span');
+  summaryText.textContent = `${groups.length} group(s), ${extraCopies} extra copies`;
+  const removeAllButton = document.createElement('button');
+  removeAllButton.classList.add('button', 'button-secondary');
+  removeAllButton.textContent = 'Delete all duplicates';
+  removeAllButton.addEventListener('click', () => {
+    if (confirm(`Delete ${extraCopies} duplicate bookmark(s), keeping the selected copy of each?`)) {
+      onRemove(groups.map(group => ({ group, keepId: keepIds.get(group) })));
+    }
+  });
+  summary.append(summaryText, removeAllButton);
+  container.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.classList.add('duplicates-list');
+  groups.forEach((group, groupIndex) => {
+    const groupItem = document.createElement('li');
+    groupItem.classList.add('duplicate-group');
+
+    const header = document.createElement('div');
+    header.classList.add('duplicate-group-header');
+    const urlText = document.createElement('span');
+    urlText.classList.add('duplicate-group-url');
+    urlText.textContent = `${group.normalizedUrl} (${group.bookmarks.length})`;
+    urlText.title = group.bookmarks[0].url;
+    const removeButton = document.createElement('button');
+    removeButton.classList.add('button', 'button-link');
+    removeButton.textContent = 'Keep selected, delete others';
+    removeButton.addEventListener('click', () => {
+      onRemove([{ group, keepId: keepIds.get(group) }]);
+    });
+    header.append(urlText, removeButton);
+    groupItem.appendChild(header);
+
+    group.bookmarks.forEach(bookmark => {
+      const copy = document.createElement('label');
+      copy.classList.add('duplicate-copy');
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `duplicate-group-${groupIndex}`;
+      radio.checked = bookmark.id === keepIds.get(group);
+      radio.addEventListener('change', () => keepIds.set(group, bookmark.id));
+
+      const details = document.createElement('span');
+      details.classList.add('duplicate-copy-details');
+      const title = document.createElement('span');
+      title.textContent = bookmark.title;
+      title.title = bookmark.url;
+      const location = document.createElement('span');
+      location.classList.add('duplicate-copy-path');
+      const added = bookmark.dateAdded ? ` · added ${new Date(bookmark.dateAdded).toLocaleDateString()}` : '';
+      location.textContent = `${bookmark.path || 'Top level'}${added}`;
+      details.append(title, location);
+
+      copy.append(radio, details);
+      groupItem.appendChild(copy);
+    });
+    list.appendChild(groupItem);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Wires the "Find duplicates" button: shows the duplicate view in place of the bookmark tree,
+ * deletes the chosen copies and rescans, and restores the tree when the view is closed.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.findButton - The "Find duplicates" button.
+ * @param {HTMLElement} elements.view - The duplicate view container (hidden by default).
+ * @param {HTMLElement} elements.results - The element the groups are rendered into.
+ * @param {HTMLButtonElement} elements.closeButton - The button that closes the view.
+ * @param {HTMLElement} elements.bookmarksTreeContainer - The bookmark tree, hidden while the view is open.
+ * @param {Function} onClose - Called when the view is closed after bookmarks were deleted, to refresh the tree.
+ */
+export function initializeDuplicateFinder({ findButton, view, results, closeButton, bookmarksTreeContainer }, onClose) {
+  let removedAny = false;
+
+  const scan = async () => {
+    results.innerHTML = '<p class="loading-text">Looking for duplicates...</p>';
+    try {
+      const groups = findDuplicateBookmarks(await getLiveBookmarkTree());
+      displayDuplicateGroups(results, groups, handleRemove);
+    } catch (error) {
+      console.error("Duplicate scan failed:", error);
+      results.innerHTML = '';
+      const errorText = document.createElement('p');
+      errorText.classList.add('error-text');
+      errorText.textContent = `Could not read bookmarks: ${error.message}`;
+      results.appendChild(errorText);
+    }
+  };
+
+  const handleRemove = async (selections) => {
+    results.querySelectorAll('button, input').forEach(element => { element.disabled = true; });
+    let removed = 0;
+    let failed = 0;
+    for (const { group, keepId } of selections) {
+      const result = await removeDuplicateBookmarks(group, keepId);
+      removed += result.removed;
+      failed += result.failed;
+    }
+    removedAny = removedAny || removed > 0;
+    if (failed > 0) {
+      alert(`Deleted ${removed} duplicate(s); ${failed} could not be deleted. See the console for details.`);
+    }
+    await scan();
+  };
+
+  findButton.addEventListener('click', () => {
+    view.classList.remove('hidden');
+    bookmarksTreeContainer.classList.add('hidden');
+    scan();
+  });
+
+  closeButton.addEventListener('click', () => {
+    view.classList.add('hidden');
+    bookmarksTreeContainer.classList.remove('hidden');
+    if (removedAny && typeof onClose === 'function') {
+      removedAny = false;
+      onClose();
+    }
+  });
+}
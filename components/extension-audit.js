@@ -0,0 +1,321 @@
+// extension-audit.js
+// Permission and risk audit of the installed extensions, based on what chrome.management reports.
+// Scores each extension from its API permissions, host permissions and install type, and flags broad powers and unusual installs.
+// Renders a sortable audit view on the Extensions tab and exports it as a CSV or JSON report.
+// Extension Audit Component
+
+import { getInstalledExtensions } from './extension-display.js';
+
+// API permissions that grant broad powers, with their weight in the risk score
+const PERMISSION_RISKS = {
+  debugger: { weight: 30, reason: 'Can inspect and control any tab through the debugger protocol' },
+  nativeMessaging: { weight: 25, reason: 'Can talk to programs installed on the computer' },
+  proxy: { weight: 25, reason: 'Can route all traffic through a proxy' },
+  webRequest: { weight: 20, reason: 'Can observe network requests' },
+  webRequestBlocking: { weight: 25, reason: 'Can block and modify network requests' },
+  desktopCapture: { weight: 20, reason: 'Can capture the screen' },
+  management: { weight: 20, reason: 'Can manage other extensions' },
+  privacy: { weight: 20, reason: 'Can change privacy settings' },
+  cookies: { weight: 15, reason: 'Can read and change cookies' },
+  clipboardRead: { weight: 15, reason: 'Can read the clipboard' },
+  contentSettings: { weight: 15, reason: 'Can change per-site settings such as camera access' },
+  pageCapture: { weight: 15, reason: 'Can save complete pages' },
+  tabCapture: { weight: 15, reason: 'Can capture tab audio and video' },
+  history: { weight: 10, reason: 'Can read and change browsing history' },
+  scripting: { weight: 10, reason: 'Can inject scripts into pages' },
+  declarativeNetRequest: { weight: 10, reason: 'Can block and redirect requests' },
+  declarativeNetRequestWithHostAccess: { weight: 10, reason: 'Can block and redirect requests' },
+  geolocation: { weight: 10, reason: 'Can read the location' },
+  tabs: { weight: 8, reason: 'Can see the URL and title of every tab' },
+  webNavigation: { weight: 8, reason: 'Can follow navigation in every tab' },
+  downloads: { weight: 5, reason: 'Can start and manage downloads' },
+  bookmarks: { weight: 5, reason: 'Can read and change bookmarks' },
+  topSites: { weight: 5, reason: 'Can read the most visited sites' }
+};
+
+// Host patterns that match every site
+const BROAD_HOST_PATTERNS = ['<all_urls>', '*://*/*', 'http://*/*', 'https://*/*', '*://*/', 'file:///*'];
+
+const BROAD_HOST_WEIGHT = 30;
+const HOST_WEIGHT = 2;
+const MAX_HOST_WEIGHT = 15;
+
+const INSTALL_TYPE_RISKS = {
+  development: { weight: 20, label: 'Development install', reason: 'Loaded unpacked; not reviewed by a store' },
+  sideload: { weight: 25, label: 'Sideloaded', reason: 'Installed by another program on the computer' },
+  other: { weight: 10, label: 'Unusual install', reason: 'Installed in a way the browser does not recognize' }
+};
+
+const STORE_UPDATE_URL_PATTERNS = ['clients2.google.com', 'edge.microsoft.com'];
+
+export const RISK_LEVELS = { HIGH: 'high', MEDIUM: 'medium', LOW: 'low' };
+
+/**
+ * Returns whether a host permission pattern matches every site.
+ * @param {string} pattern - A host permission such as "https://*.example.com/*".
+ * @returns {boolean}
+ */
+export function isBroadHostPattern(pattern) {
+  return BROAD_HOST_PATTERNS.includes(pattern) || /^(\*|https?):\/\/\*\//.test(pattern);
+}
+
+/**
+ * Scores one extension. Higher scores mean broader powers or a less trustworthy install.
+ * @param {object} ext - An ExtensionInfo from chrome.management.
+ * @returns {{score: number, level: string, flags: Array<{label: string, reason: string}>, riskyPermissions: Array<string>}}
+ */
+export function assessExtensionRisk(ext) {
+  const flags = [];
+  const riskyPermissions = [];
+  let score = 0;
+
+  for (const permission of ext.permissions || []) {
+    const risk = PERMISSION_RISKS[permission];
+    if (risk) {
+      score += risk.weight;
+      riskyPermissions.push(permission);
+      if (risk.weight >= 20) flags.push({ label: permission, reason: risk.reason });
+    }
+  }
+
+  const hostPermissions = ext.hostPermissions || [];
+  const broadHosts = hostPermissions.filter(isBroadHostPattern);
+  if (broadHosts.length > 0) {
+    score += BROAD_HOST_WEIGHT;
+    riskyPermissions.push(...broadHosts);
+    flags.push({ label: 'All sites', reason: `Can read and change data on every site (${broadHosts.join(', ')})` });
+  } else {
+    score += Math.min(MAX_HOST_WEIGHT, hostPermissions.length * HOST_WEIGHT);
+  }
+
+  const installRisk = INSTALL_TYPE_RISKS[ext.installType];
+  if (installRisk) {
+    score += installRisk.weight;
+    flags.push({ label: installRisk.label, reason: installRisk.reason });
+  } else if (ext.installType === 'normal' && ext.updateUrl &&
+    !STORE_UPDATE_URL_PATTERNS.some(pattern => ext.updateUrl.includes(pattern))) {
+    score += 10;
+    flags.push({ label: 'Off-store updates', reason: `Updates from ${ext.updateUrl}` });
+  }
+
+  if (ext.installType === 'admin') {
+    flags.push({ label: 'Installed by policy', reason: 'Forced by an administrator' });
+  }
+  if (ext.mayDisable === false) {
+    flags.push({ label: 'Cannot be disabled', reason: 'Managed by policy' });
+  }
+
+  score = Math.min(100, score);
+  const level = score >= 60 ? RISK_LEVELS.HIGH : score >= 30 ? RISK_LEVELS.MEDIUM : RISK_LEVELS.LOW;
+  return { score, level, flags, riskyPermissions };
+}
+
+/**
+ * Builds the audit entries for a list of extensions.
+ * @param {Array<object>} extensions - ExtensionInfo objects from chrome.management.getAll.
+ * @returns {Array<object>} One entry per extension with its details and risk assessment.
+ */
+export function buildAuditReport(extensions) {
+  return extensions.map(ext => ({
+    id: ext.id,
+    name: ext.name,
+    version: ext.version,
+    enabled: ext.enabled,
+    installType: ext.installType,
+    mayDisable: ext.mayDisable !== false,
+    permissions: ext.permissions || [],
+    hostPermissions: ext.hostPermissions || [],
+    ...assessExtensionRisk(ext)
+  }));
+}
+
+/**
+ * Sorts audit entries in place.
+ * @param {Array<object>} entries - Entries from buildAuditReport.
+ * @param {string} sortMode - 'risk' (highest first) or 'name'.
+ * @returns {Array<object>} The same array.
+ */
+export function sortAuditReport(entries, sortMode) {
+  if (sortMode === 'name') {
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return entries.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * Quotes a value for CSV.
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats audit entries as CSV.
+ * @param {Array<object>} entries - Entries from buildAuditReport.
+ * @returns {string}
+ */
+export function auditReportToCsv(entries) {
+  const header = ['Name', 'ID', 'Version', 'Enabled', 'Install type', 'Risk score', 'Risk level', 'Flags', 'Permissions', 'Host permissions'];
+  const rows = entries.map(entry => [
+    entry.name,
+    entry.id,
+    entry.version,
+    entry.enabled ? 'yes' : 'no',
+    entry.installType,
+    entry.score,
+    entry.level,
+    entry.flags.map(flag => flag.label).join('; '),
+    entry.permissions.join('; '),
+    entry.hostPermissions.join('; ')
+  ]);
+  return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+}
+
+/**
+ * Downloads a text file.
+ * @param {string} content - The file content.
+ * @param {string} type - The MIME type.
+ * @param {string} filename - The file name.
+ */
+function downloadFile(content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Renders the audit entries.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<object>} entries - Sorted entries from buildAuditReport.
+ */
+function displayAuditReport(container, entries) {
+  container.innerHTML = '';
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="empty-text">No extensions installed.</p>';
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.classList.add('audit-list');
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.classList.add('audit-item', `risk-${entry.level}`);
+
+    const header = document.createElement('div');
+    header.classList.add('audit-item-header');
+    const name = document.createElement('strong');
+    name.textContent = entry.name;
+    name.title = `${entry.id}${entry.version ? ` · v${entry.version}` : ''}`;
+    const score = document.createElement('span');
+    score.classList.add('audit-score');
+    score.textContent = `${entry.score}`;
+    score.title = `Risk score (${entry.level})`;
+    header.append(name, score);
+    if (!entry.enabled) {
+      const disabled = document.createElement('span');
+      disabled.classList.add('status-badge', 'disabled-badge');
+      disabled.textContent = '(Disabled)';
+      name.insertAdjacentElement('afterend', disabled);
+    }
+    item.appendChild(header);
+
+    if (entry.flags.length > 0) {
+      const flags = document.createElement('div');
+      flags.classList.add('audit-flags');
+      entry.flags.forEach(flag => {
+        const flagBadge = document.createElement('span');
+        flagBadge.classList.add('audit-flag');
+        flagBadge.textContent = flag.label;
+        flagBadge.title = flag.reason;
+        flags.appendChild(flagBadge);
+      });
+      item.appendChild(flags);
+    }
+
+    const permissions = [...entry.permissions, ...entry.hostPermissions];
+    const permissionList = document.createElement('div');
+    permissionList.classList.add('audit-permissions');
+    if (permissions.length === 0) {
+      permissionList.textContent = 'No permissions';
+    }
+    permissions.forEach(permission => {
+      const chip = document.createElement('span');
+      chip.classList.add('audit-permission');
+      if (entry.riskyPermissions.includes(permission)) {
+        chip.classList.add('audit-permission-risky');
+        chip.title = PERMISSION_RISKS[permission]?.reason || 'Access to every site';
+      }
+      chip.textContent = permission;
+      permissionList.appendChild(chip);
+    });
+    item.appendChild(permissionList);
+
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Wires the "Audit" button: shows the audit view in place of the extension list,
+ * re-sorts it and exports the report.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.openButton - The "Audit" button.
+ * @param {HTMLElement} elements.view - The audit view container (hidden by default).
+ * @param {HTMLElement} elements.results - The element the entries are rendered into.
+ * @param {HTMLSelectElement} elements.sortSelect - 'risk' or 'name'.
+ * @param {HTMLButtonElement} elements.exportCsvButton - Downloads the report as CSV.
+ * @param {HTMLButtonElement} elements.exportJsonButton - Downloads the report as JSON.
+ * @param {HTMLButtonElement} elements.closeButton - Closes the view.
+ * @param {Array<HTMLElement>} elements.hiddenWhileOpen - Elements hidden while the view is open.
+ */
+export function initializeExtensionAudit({ openButton, view, results, sortSelect, exportCsvButton, exportJsonButton, closeButton, hiddenWhileOpen }) {
+  let entries = [];
+  let hiddenByView = [];
+
+  const render = () => displayAuditReport(results, sortAuditReport(entries, sortSelect.value));
+
+  openButton.addEventListener('click', async () => {
+    // Only what was visible is restored on close, so views opened over each other unwind in order
+    hiddenByView = hiddenWhileOpen.filter(element => element !== view && !element.classList.contains('hidden'));
+    view.classList.remove('hidden');
+    hiddenByView.forEach(element => element.classList.add('hidden'));
+    results.innerHTML = '<p class="loading-text">Auditing extensions...</p>';
+    try {
+      entries = buildAuditReport(await getInstalledExtensions());
+      render();
+    } catch (error) {
+      console.error("Extension audit failed:", error);
+      results.innerHTML = '';
+      const errorText = document.createElement('p');
+      errorText.classList.add('error-text');
+      errorText.textContent = `Could not read extensions: ${error.message}`;
+      results.appendChild(errorText);
+    }
+  });
+
+  sortSelect.addEventListener('change', render);
+
+  exportCsvButton.addEventListener('click', () => {
+    downloadFile(auditReportToCsv(sortAuditReport(entries, sortSelect.value)), 'text/csv', `extension_audit_${Date.now()}.csv`);
+  });
+
+  exportJsonButton.addEventListener('click', () => {
+    const report = { generatedAt: new Date().toISOString(), extensions: sortAuditReport(entries, sortSelect.value) };
+    downloadFile(JSON.stringify(report, null, 2), 'application/json', `extension_audit_${Date.now()}.json`);
+  });
+
+  closeButton.addEventListener('click', () => {
+    view.classList.add('hidden');
+    hiddenByView.forEach(element => element.classList.remove('hidden'));
+    hiddenByView = [];
+  });
+}
@@ -0,0 +1,249 @@
+// extension-bisect.js
+// Guided bisect to find the extension that causes a problem, by disabling half of the suspects at each step.
+// The original enabled states and the current step are kept in chrome.storage.local, so closing the popup does not lose them.
+// When the culprit is found (or the user stops) every extension is put back exactly as it was.
+// Extension Bisect Component
+
+import { showDialog } from './dialog.js';
+import { getInstalledExtensions } from './extension-display.js';
+
+export const BISECT_STATE_KEY = 'extensionBisect';
+
+/**
+ * Enables or disables one extension, ignoring extensions that were uninstalled meanwhile.
+ * @param {string} id - The extension ID.
+ * @param {boolean} enabled - The state to set.
+ * @returns {Promise<void>}
+ */
+function setExtensionEnabled(id, enabled) {
+  return new Promise((resolve) => {
+    chrome.management.setEnabled(id, enabled, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Could not ${enabled ? 'enable' : 'disable'} ${id}:`, chrome.runtime.lastError.message);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Reads the bisect in progress.
+ * @returns {Promise<object|null>} The bisect state, or null if none is running.
+ */
+export function getBisectState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(BISECT_STATE_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("Error loading bisect state:", chrome.runtime.lastError);
+        return resolve(null);
+      }
+      resolve(result[BISECT_STATE_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Saves (or with null, clears) the bisect state.
+ * @param {object|null} state - The bisect state.
+ * @returns {Promise<void>}
+ */
+function setBisectState(state) {
+  return new Promise((resolve, reject) => {
+    const done = () => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve();
+    if (state) {
+      chrome.storage.local.set({ [BISECT_STATE_KEY]: state }, done);
+    } else {
+      chrome.storage.local.remove(BISECT_STATE_KEY, done);
+    }
+  });
+}
+
+/**
+ * Puts the extensions in the state for the current step: the ids in state.disabled are off,
+ * all other originally enabled suspects are on.
+ * @param {object} state - The bisect state.
+ * @returns {Promise<void>}
+ */
+async function applyBisectStep(state) {
+  const disabled = new Set(state.disabled);
+  const installed = new Map((await getInstalledExtensions({ includeSelf: false })).map(ext => [ext.id, ext]));
+  for (const id of state.suspects) {
+    const ext = installed.get(id);
+    const shouldBeEnabled = !disabled.has(id);
+    if (ext && ext.enabled !== shouldBeEnabled) {
+      await setExtensionEnabled(id, shouldBeEnabled);
+    }
+  }
+}
+
+/**
+ * Starts a bisect. The first step disables every suspect, to check that an extension is involved at all.
+ * Suspects are the enabled extensions that may be disabled.
+ * @returns {Promise<object>} The new bisect state.
+ * @throws {Error} If a bisect is already running or there is nothing to bisect.
+ */
+export async function startBisect() {
+  if (await getBisectState()) {
+    throw new Error('A bisect is already in progress.');
+  }
+  const extensions = await getInstalledExtensions({ includeSelf: false });
+  const suspects = extensions.filter(ext => ext.enabled && ext.mayDisable !== false);
+  if (suspects.length === 0) {
+    throw new Error('There are no enabled extensions that can be disabled.');
+  }
+
+  const state = {
+    startedAt: new Date().toISOString(),
+    originalStates: Object.fromEntries(extensions.map(ext => [ext.id, ext.enabled])),
+    names: Object.fromEntries(extensions.map(ext => [ext.id, ext.name])),
+    suspects: suspects.map(ext => ext.id),
+    candidates: suspects.map(ext => ext.id),
+    disabled: suspects.map(ext => ext.id),
+    phase: 'verify',
+    step: 0
+  };
+  // Saved before touching any extension, so the original states survive a closed popup
+  await setBisectState(state);
+  await applyBisectStep(state);
+  return state;
+}
+
+/**
+ * Puts every extension back in its original state and ends the bisect.
+ * @returns {Promise<void>}
+ */
+export async function stopBisect() {
+  const state = await getBisectState();
+  if (!state) return;
+  const installed = await getInstalledExtensions({ includeSelf: false });
+  for (const ext of installed) {
+    const original = state.originalStates[ext.id];
+    if (original !== undefined && ext.enabled !== original) {
+      await setExtensionEnabled(ext.id, original);
+    }
+  }
+  await setBisectState(null);
+}
+
+/**
+ * Records the answer to "Is the problem still there?" and moves to the next step.
+ * @param {boolean} problemStillThere - The user's answer for the current step.
+ * @returns {Promise<{state: object|null, result: object|null}>} The next state, or the result once the
+ *   bisect has finished ({culprit: name} or {notAnExtension: true}); extensions are restored by then.
+ */
+export async function answerBisect(problemStillThere) {
+  const state = await getBisectState();
+  if (!state) throw new Error('No bisect is in progress.');
+
+  let candidates;
+  if (state.phase === 'verify') {
+    if (problemStillThere) {
+      // Still broken with every suspect off, so no extension is to blame
+      await stopBisect();
+      return { state: null, result: { notAnExtension: true } };
+    }
+    candidates = state.candidates;
+  } else {
+    // Still broken: the culprit is among the ones left on; otherwise among the ones turned off
+    const disabled = new Set(state.disabled);
+    candidates = problemStillThere
+      ? state.candidates.filter(id => !disabled.has(id))
+      : state.candidates.filter(id => disabled.has(id));
+  }
+
+  if (candidates.length <= 1) {
+    const culpritId = candidates[0];
+    await stopBisect();
+    return {
+      state: null,
+      result: culpritId ? { culprit: state.names[culpritId] || culpritId } : { inconclusive: true }
+    };
+  }
+
+  const nextState = {
+    ...state,
+    phase: 'bisect',
+    step: state.step + 1,
+    candidates,
+    disabled: candidates.slice(0, Math.ceil(candidates.length / 2))
+  };
+  await setBisectState(nextState);
+  await applyBisectStep(nextState);
+  return { state: nextState, result: null };
+}
+
+/**
+ * Shows the question for the current step in the bisect panel, or hides it when no bisect is running.
+ * @param {HTMLElement} panel - The bisect panel.
+ * @param {object|null} state - The bisect state.
+ */
+function renderBisectPanel(panel, state) {
+  panel.classList.toggle('hidden', !state);
+  if (!state) return;
+  const status = panel.querySelector('.bisect-status');
+  if (state.phase === 'verify') {
+    status.textContent = `Step 1: all ${state.suspects.length} enabled extensions are disabled. Reload the page with the problem. Is it still there?`;
+  } else {
+    status.textContent = `Step ${state.step + 1}: ${state.candidates.length} suspects left, ${state.disabled.length} of them disabled. ` +
+      'Reload the page with the problem. Is it still there?';
+  }
+}
+
+/**
+ * Wires the bisect controls on the Extensions tab and resumes a bisect left running by a closed popup.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.startButton - Starts a bisect.
+ * @param {HTMLElement} elements.panel - The panel with the question and answers (hidden by default).
+ * @param {HTMLButtonElement} elements.yesButton - "Yes, still there".
+ * @param {HTMLButtonElement} elements.noButton - "No, it's gone".
+ * @param {HTMLButtonElement} elements.stopButton - Stops and restores the original states.
+ * @param {Function} onChange - Called after extension states changed, to refresh the extension list.
+ */
+export async function initializeExtensionBisect({ startButton, panel, yesButton, noButton, stopButton }, onChange) {
+  const buttons = [startButton, yesButton, noButton, stopButton];
+  const run = async (action) => {
+    buttons.forEach(button => { button.disabled = true; });
+    try {
+      const { state, result } = await action();
+      renderBisectPanel(panel, state);
+      startButton.disabled = !!state;
+      if (typeof onChange === 'function') onChange();
+      if (result) {
+        await showDialog({
+          title: 'Bisect finished',
+          message: result.culprit
+            ? `The problem is caused by "${result.culprit}". All extensions were restored to their original states.`
+            : result.notAnExtension
+              ? 'The problem happens with all extensions disabled, so it is not caused by an extension. All extensions were restored.'
+              : 'No single extension could be identified. All extensions were restored.',
+          confirmLabel: 'Close',
+          cancelLabel: null
+        });
+      }
+    } catch (error) {
+      console.error("Bisect failed:", error);
+      alert(`Bisect failed: ${error.message}`);
+    } finally {
+      [yesButton, noButton, stopButton].forEach(button => { button.disabled = false; });
+      startButton.disabled = !panel.classList.contains('hidden');
+    }
+  };
+
+  const state = await getBisectState();
+  renderBisectPanel(panel, state);
+  startButton.disabled = !!state;
+
+  startButton.addEventListener('click', () => {
+    if (!confirm('Bisect will disable and re-enable your extensions step by step to find the one causing a problem. ' +
+      'Your current states are restored at the end. Continue?')) {
+      return;
+    }
+    run(async () => ({ state: await startBisect(), result: null }));
+  });
+  yesButton.addEventListener('click', () => run(() => answerBisect(true)));
+  noButton.addEventListener('click', () => run(() => answerBisect(false)));
+  stopButton.addEventListener('click', () => run(async () => {
+    await stopBisect();
+    return { state: null, result: null };
+  }));
+}
@@ -0,0 +1,201 @@
+// extension-bulk-actions.js
+// Bulk actions for the extensions ticked in the extension list: enable, disable, uninstall, remove from the stored list and open store pages.
+// Runs the action on one extension at a time, shows progress in the bulk bar and reports every item that failed.
+// The selection itself lives in extension-display.js so it survives re-renders and searches.
+// Extension Bulk Actions Component
+
+import { removeExtensionFromList } from './data-handler.js';
+import {
+  getStoreUrl,
+  getSelectedExtensionIds,
+  getDisplayedExtensions,
+  setExtensionsSelected,
+  clearExtensionSelection,
+  onExtensionSelectionChange,
+  refreshExtensionList,
+  forgetDisplayedExtensions,
+  callChrome
+} from './extension-display.js';
+import { showDialog } from './dialog.js';
+
+// Opening more store pages than this at once asks for confirmation first
+const STORE_PAGE_CONFIRM_THRESHOLD = 10;
+
+export const BULK_ACTIONS = {
+  enable: { label: 'Enable', progressLabel: 'Enabling', doneLabel: 'Enabled' },
+  disable: { label: 'Disable', progressLabel: 'Disabling', doneLabel: 'Disabled' },
+  uninstall: { label: 'Uninstall', progressLabel: 'Uninstalling', doneLabel: 'Uninstalled' },
+  remove: { label: 'Remove from list', progressLabel: 'Removing', doneLabel: 'Removed from the list' },
+  store: { label: 'Open store pages', progressLabel: 'Opening store pages for', doneLabel: 'Opened store pages for' }
+};
+
+/**
+ * Reads an installed extension.
+ * @param {string} id - The extension ID.
+ * @returns {Promise<object|null>} The extension info, or null if it is not installed.
+ */
+function getInstalledExtension(id) {
+  return new Promise((resolve) => {
+    chrome.management.get(id, (info) => resolve(chrome.runtime.lastError ? null : info));
+  });
+}
+
+/**
+ * Runs one bulk action on one extension.
+ * @param {string} action - A key of BULK_ACTIONS.
+ * @param {object} ext - The extension from the stored list.
+ * @param {string} browserName - The current browser, for store URLs.
+ * @returns {Promise<void>} Rejects with the reason the action failed.
+ */
+async function runActionOnExtension(action, ext, browserName) {
+  if (action === 'remove') {
+    if (!(await removeExtensionFromList(ext.id))) {
+      throw new Error('not in the stored list');
+    }
+    return;
+  }
+  if (action === 'store') {
+    await callChrome(callback => chrome.tabs.create({ url: getStoreUrl(ext, browserName), active: false }, callback));
+    return;
+  }
+
+  if (ext.id === chrome.runtime.id) {
+    throw new Error('this is Extmark Manager itself');
+  }
+  const info = await getInstalledExtension(ext.id);
+  if (!info) {
+    throw new Error('not installed');
+  }
+  if (action === 'uninstall') {
+    // Chrome always asks the user to confirm uninstalling another extension
+    await callChrome(callback => chrome.management.uninstall(ext.id, { showConfirmDialog: true }, callback));
+    return;
+  }
+
+  const enable = action === 'enable';
+  if (info.enabled === enable) return;
+  if (enable ? info.mayEnable === false : info.mayDisable === false) {
+    throw new Error(`cannot be ${enable ? 'enabled' : 'disabled'}; managed by policy`);
+  }
+  await callChrome(callback => chrome.management.setEnabled(ext.id, enable, callback));
+}
+
+/**
+ * Runs a bulk action on several extensions, one after the other.
+ * @param {string} action - A key of BULK_ACTIONS.
+ * @param {Array<object>} extensions - The extensions to act on.
+ * @param {object} [options]
+ * @param {string} [options.browserName] - The current browser, for store URLs.
+ * @param {Function} [options.onProgress] - Called with (done, total) after each extension.
+ * @returns {Promise<Array<{id: string, name: string, ok: boolean, message: string}>>} One result per extension.
+ */
+export async function runBulkAction(action, extensions, { browserName = 'Unknown', onProgress } = {}) {
+  if (!BULK_ACTIONS[action]) throw new Error(`Unknown bulk action: ${action}`);
+  const results = [];
+  for (const ext of extensions) {
+    try {
+      await runActionOnExtension(action, ext, browserName);
+      results.push({ id: ext.id, name: ext.name, ok: true, message: '' });
+    } catch (error) {
+      console.error(`Bulk ${action} failed for ${ext.name} (${ext.id}):`, error);
+      results.push({ id: ext.id, name: ext.name, ok: false, message: error.message });
+    }
+    if (typeof onProgress === 'function') onProgress(results.length, extensions.length);
+  }
+  return results;
+}
+
+/**
+ * Wires the bulk bar above the extension list.
+ * @param {object} elements
+ * @param {HTMLInputElement} elements.selectAllCheckbox - Selects or clears every extension in the stored list.
+ * @param {HTMLButtonElement} elements.selectFilteredButton - Selects the extensions matching the current search.
+ * @param {HTMLElement} elements.countLabel - Shows how many extensions are selected.
+ * @param {HTMLSelectElement} elements.actionSelect - The action to run; option values are keys of BULK_ACTIONS.
+ * @param {HTMLButtonElement} elements.runButton - Runs the chosen action on the selection.
+ * @param {HTMLElement} elements.progress - Shows progress and the outcome of the last run.
+ * @param {Function} getAllExtensions - Returns the full extension list, regardless of the search filter.
+ * @param {Function} getBrowserName - Returns the current browser name.
+ */
+export function initializeExtensionBulkActions(
+  { selectAllCheckbox, selectFilteredButton, countLabel, actionSelect, runButton, progress },
+  getAllExtensions,
+  getBrowserName
+) {
+  let running = false;
+
+  const updateSelectionControls = (selectedIds) => {
+    const total = getAllExtensions().length;
+    countLabel.textContent = `${selectedIds.length} selected`;
+    selectAllCheckbox.checked = total > 0 && selectedIds.length >= total;
+    selectAllCheckbox.indeterminate = selectedIds.length > 0 && selectedIds.length < total;
+    runButton.disabled = running || selectedIds.length === 0;
+  };
+  onExtensionSelectionChange(updateSelectionControls);
+  updateSelectionControls(getSelectedExtensionIds());
+
+  selectAllCheckbox.addEventListener('change', () => {
+    if (selectAllCheckbox.checked) {
+      setExtensionsSelected(getAllExtensions().map(ext => ext.id), true);
+    } else {
+      clearExtensionSelection();
+    }
+  });
+
+  selectFilteredButton.addEventListener('click', () => {
+    setExtensionsSelected(getDisplayedExtensions().map(ext => ext.id), true);
+  });
+
+  runButton.addEventListener('click', async () => {
+    const action = actionSelect.value;
+    const labels = BULK_ACTIONS[action];
+    const selectedIds = new Set(getSelectedExtensionIds());
+    const extensions = getAllExtensions().filter(ext => selectedIds.has(ext.id));
+    if (!labels || extensions.length === 0) return;
+
+    if (action === 'uninstall' && !confirm(`Uninstall ${extensions.length} extension(s)? The browser asks to confirm each one.`)) return;
+    if (action === 'remove' && !confirm(`Remove ${extensions.length} extension(s) from the stored list?`)) return;
+    if (action === 'store' && extensions.length > STORE_PAGE_CONFIRM_THRESHOLD &&
+      !confirm(`Open ${extensions.length} store pages in new tabs?`)) return;
+
+    running = true;
+    runButton.disabled = true;
+    actionSelect.disabled = true;
+    progress.textContent = `${labels.progressLabel} 0/${extensions.length}...`;
+    try {
+      const results = await runBulkAction(action, extensions, {
+        browserName: getBrowserName(),
+        onProgress: (done, total) => { progress.textContent = `${labels.progressLabel} ${done}/${total}...`; }
+      });
+      const succeeded = results.filter(result => result.ok);
+      const failed = results.filter(result => !result.ok);
+      progress.textContent = `${labels.doneLabel} ${succeeded.length} of ${results.length}.`;
+
+      if (action === 'remove') {
+        await forgetDisplayedExtensions(succeeded.map(result => result.id));
+      } else if (action !== 'store') {
+        await refreshExtensionList();
+      }
+
+      if (failed.length > 0) {
+        await showDialog({
+          title: `${labels.label}: ${failed.length} of ${results.length} failed`,
+          sections: [
+            { heading: 'Failed', items: failed.map(result => `${result.name}: ${result.message}`), className: 'report-dialog-errors' },
+            { heading: labels.doneLabel, items: succeeded.map(result => result.name) }
+          ],
+          confirmLabel: 'Close',
+          cancelLabel: null
+        });
+      }
+    } catch (error) {
+      console.error("Bulk action failed:", error);
+      progress.textContent = '';
+      alert(`Bulk action failed: ${error.message}`);
+    } finally {
+      running = false;
+      actionSelect.disabled = false;
+      updateSelectionControls(getSelectedExtensionIds());
+    }
+  });
+}
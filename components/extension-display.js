@@ -5,13 +5,36 @@
 // Extension Display Component
 
 import { removeExtensionFromList } from './data-handler.js';
+import { renderHighlightedText } from './fuzzy-match.js';
+import { getExtensionIconUrl } from './extension-metadata.js';
 
 let currentSortMode = 'name';
 let lastDisplayParams = null;
+// Ids ticked for bulk actions; kept across re-renders and searches
+const selectedExtensionIds = new Set();
+const selectionListeners = new Set();
+const forgottenListeners = new Set();
 // SVG constants and helper for favicon/store URL
 export const FOLDER_ICON_SVG = 'data:image/svg+xml;utf8,<svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg"><rect width="16" height="16" rx="2" fill="%23f4d06f"/><path d="M2 5.5A1.5 1.5 0 013.5 4h2.379a1.5 1.5 0 011.06.44l.621.62A1.5 1.5 0 008.621 6H12.5A1.5 1.5 0 0114 7.5v4A1.5 1.5 0 0112.5 13h-9A1.5 1.5 0 012 11.5v-6z" fill="%23e2b93b"/></svg>';
 export const DEFAULT_FAVICON_SVG = 'data:image/svg+xml;utf8,<svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg"><rect width="16" height="16" rx="2" fill="%23e0e0e0"/><path d="M4 4h8v8H4z" fill="%23bdbdbd"/></svg>';
 
+/**
+ * Returns the store an extension was installed from, based on its updateUrl.
+ * @param {object} extension - The extension entry.
+ * @returns {'chrome'|'edge'|null} The store, or null if the updateUrl does not identify one.
+ */
+export function getSourceStore(extension) {
+  const updateUrl = extension.updateUrl;
+  if (updateUrl) {
+    if (updateUrl.includes('edge.microsoft.com')) {
+      return 'edge';
+    } else if (updateUrl.includes('google.com')) { // Assume google.com means Chrome store
+      return 'chrome';
+    }
+  }
+  return null;
+}
+
 /**
  * Returns the appropriate store URL for an extension, based on its updateUrl and the current browser context.
  * - If the extension was installed from a different store than the current browser, returns a search URL for the current store.
@@ -21,16 +44,7 @@ export const DEFAULT_FAVICON_SVG = 'data:image/svg+xml;utf8,<svg width="16" heig
 export function getStoreUrl(extension, currentContextBrowserName) {
   const id = extension.id;
   const name = extension.name; // Need the name for search queries
-  const updateUrl = extension.updateUrl;
-
-  let sourceStore = null; // 'chrome' or 'edge'
-  if (updateUrl) {
-    if (updateUrl.includes('edge.microsoft.com')) {
-      sourceStore = 'edge';
-    } else if (updateUrl.includes('google.com')) { // Assume google.com means Chrome store
-      sourceStore = 'chrome';
-    }
-  }
+  const sourceStore = getSourceStore(extension); // 'chrome', 'edge' or null
 
   // Cross-browser search redirection logic
   if (sourceStore === 'chrome' && currentContextBrowserName === 'Edge') {
@@ -77,49 +91,96 @@ export function getFaviconUrl(url) {
   }
 }
 
-// Helper function to get extension info (including enabled status)
-async function getExtensionInfo(extensionId) {
-  return new Promise((resolve) => {
-    if (!chrome.management || !chrome.management.get) {
-      console.warn("chrome.management API not available.");
-      return resolve(null); // Return null if API is missing
-    }
-    chrome.management.get(extensionId, (info) => {
-      if (chrome.runtime.lastError) {
-        // lastError indicates the extension is not installed
-        resolve(null); // Return null if not found or other error
-      } else {
-        resolve(info); // Return the full info object
-      }
-    });
+/**
+ * Wraps a chrome callback API call in a promise that rejects with chrome.runtime.lastError.
+ * @param {Function} call - Receives the callback to pass to the chrome API.
+ * @returns {Promise<*>}
+ */
+export function callChrome(call) {
+  return new Promise((resolve, reject) => {
+    call((result) => chrome.runtime.lastError ? reject(new Error(chrome.runtime.lastError.message)) : resolve(result));
   });
 }
 
+/**
+ * Reads the installed extensions (not themes or apps) straight from chrome.management, bypassing the snapshot,
+ * for actions that must see the current enabled states.
+ * @param {object} [options]
+ * @param {boolean} [options.includeSelf=true] - Whether to include Extmark Manager itself.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getInstalledExtensions({ includeSelf = true } = {}) {
+  const items = await callChrome(callback => chrome.management.getAll(callback));
+  return items.filter(item => item.type === 'extension' && (includeSelf || item.id !== chrome.runtime.id));
+}
+
+// One chrome.management.getAll snapshot serves every render until an extension changes
+let installedSnapshot = null;
+let snapshotListenersAdded = false;
+
+/**
+ * Returns the installed extensions keyed by id, from a cached snapshot that is dropped whenever
+ * an extension is installed, uninstalled, enabled or disabled.
+ * @returns {Promise<Map<string, object>>}
+ */
+export function getInstalledExtensionsSnapshot() {
+  if (!chrome.management || !chrome.management.getAll) {
+    console.warn("chrome.management API not available.");
+    return Promise.resolve(new Map());
+  }
+  if (!snapshotListenersAdded) {
+    snapshotListenersAdded = true;
+    const invalidate = () => { installedSnapshot = null; };
+    chrome.management.onInstalled.addListener(invalidate);
+    chrome.management.onUninstalled.addListener(invalidate);
+    chrome.management.onEnabled.addListener(invalidate);
+    chrome.management.onDisabled.addListener(invalidate);
+  }
+  if (!installedSnapshot) {
+    installedSnapshot = new Promise((resolve) => {
+      chrome.management.getAll((items) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error reading installed extensions:", chrome.runtime.lastError);
+          installedSnapshot = null;
+          return resolve(new Map());
+        }
+        resolve(new Map(items.map(item => [item.id, item])));
+      });
+    });
+  }
+  return installedSnapshot;
+}
+
+// Rendered <li> elements keyed by extension id, reused across renders while their content is unchanged
+const renderedItems = new Map();
+let renderedList = null;
+// Renders can overlap while typing in the search box; only the newest one touches the DOM
+let renderGeneration = 0;
 
 export async function displayExtensions({
   extensionList,
   extensionsToDisplay,
-  installedExtensionsMap = new Map(),
-  currentContextBrowserName = 'Unknown'
+  currentContextBrowserName = 'Unknown',
+  ranked = false, // Search results in rank order; the sort mode is not applied
+  highlightWords = []
 }) {
-  lastDisplayParams = { extensionList, extensionsToDisplay, installedExtensionsMap, currentContextBrowserName };
-  let sortedExtensions = [...extensionsToDisplay];
-  if (currentSortMode === 'name') {
+  lastDisplayParams = { extensionList, extensionsToDisplay, currentContextBrowserName, ranked, highlightWords };
+  const generation = ++renderGeneration;
+  const installed = await getInstalledExtensionsSnapshot();
+  if (generation !== renderGeneration) return;
+
+  const validExtensions = (extensionsToDisplay || []).filter(ext => ext && ext.id && ext.name);
+  let sortedExtensions = [...validExtensions];
+  if (!ranked && currentSortMode === 'name') {
     sortedExtensions.sort((a, b) => a.name.localeCompare(b.name));
-  } else if (currentSortMode === 'installed') {
-    const extInstallPairs = await Promise.all(sortedExtensions.map(async ext => {
-      const info = await getExtensionInfo(ext.id);
-      const installed = !!info;
-      return { ext, installed };
-    }));
-    extInstallPairs.sort((a, b) => (b.installed === a.installed ? 0 : b.installed ? 1 : -1));
-    sortedExtensions = extInstallPairs.map(pair => pair.ext);
+  } else if (!ranked && currentSortMode === 'installed') {
+    // Stable sort: installed first, otherwise in the given order
+    sortedExtensions.sort((a, b) => Number(installed.has(b.id)) - Number(installed.has(a.id)));
   }
-  extensionList.innerHTML = ''; // Clear previous list
 
-  if (!extensionsToDisplay || extensionsToDisplay.length === 0) {
-    extensionList.innerHTML = '<li class="empty-text">No extensions to display.</li>';
-    return;
+  if (renderedList !== extensionList) {
+    renderedItems.clear();
+    renderedList = extensionList;
   }
 
   // Remove and re-add event listeners to prevent duplicate handlers
@@ -130,21 +191,130 @@ export async function displayExtensions({
   extensionList.addEventListener('click', handleExtensionActionClick);
   extensionList.addEventListener('change', handleExtensionActionClick); // Listen for toggle changes
 
-  // Process each extension asynchronously
-  for (const ext of sortedExtensions) {
-    if (!ext || !ext.id || !ext.name) continue;
+  if (sortedExtensions.length === 0) {
+    extensionList.innerHTML = '<li class="empty-text">No extensions to display.</li>';
+    return;
+  }
 
-    const extensionInfo = await getExtensionInfo(ext.id); // Get full info or null
-    const isInstalled = !!extensionInfo; // True if info object exists
-    const isEnabled = isInstalled ? extensionInfo.enabled : false; // Get enabled status if installed
+  const wanted = sortedExtensions.map(ext => {
+    const info = installed.get(ext.id);
+    const isInstalled = !!info;
+    const isEnabled = isInstalled ? info.enabled : false;
+    // Everything the item's markup depends on; a changed key means the item is rebuilt
+    const iconUrl = getExtensionIconUrl(info);
+    const key = JSON.stringify([ext, isInstalled, isEnabled, iconUrl, currentContextBrowserName, highlightWords]);
+    let rendered = renderedItems.get(ext.id);
+    if (!rendered || rendered.key !== key) {
+      rendered = { key, element: createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrowserName, highlightWords, iconUrl) };
+      renderedItems.set(ext.id, rendered);
+    }
+    const checkbox = rendered.element.querySelector('.extension-select');
+    if (checkbox) checkbox.checked = selectedExtensionIds.has(ext.id);
+    return rendered.element;
+  });
 
-    const listItem = createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrowserName);
-    extensionList.appendChild(listItem);
+  // Drop whatever is not a wanted item (placeholders, filtered-out items), then put the items in order,
+  // moving only the ones that are out of place
+  const wantedSet = new Set(wanted);
+  [...extensionList.children].forEach(child => {
+    if (!wantedSet.has(child)) child.remove();
+  });
+  wanted.forEach((element, index) => {
+    if (extensionList.children[index] !== element) {
+      extensionList.insertBefore(element, extensionList.children[index] || null);
+    }
+  });
+}
+
+/**
+ * Re-renders the extension list with the parameters of the last displayExtensions call,
+ * e.g. after extension states were changed elsewhere.
+ * @returns {Promise<void>}
+ */
+export async function refreshExtensionList() {
+  if (lastDisplayParams) {
+    await displayExtensions(lastDisplayParams);
+  }
+}
+
+/**
+ * Returns the ids of the extensions selected for bulk actions.
+ * @returns {Array<string>}
+ */
+export function getSelectedExtensionIds() {
+  return [...selectedExtensionIds];
+}
+
+/**
+ * Returns the extensions currently shown in the list, i.e. after any search filter.
+ * @returns {Array<object>}
+ */
+export function getDisplayedExtensions() {
+  return lastDisplayParams ? lastDisplayParams.extensionsToDisplay : [];
+}
+
+/**
+ * Selects or deselects extensions and updates their checkboxes.
+ * @param {Array<string>} ids - The extension IDs.
+ * @param {boolean} selected - Whether to select them.
+ */
+export function setExtensionsSelected(ids, selected) {
+  ids.forEach(id => selected ? selectedExtensionIds.add(id) : selectedExtensionIds.delete(id));
+  if (lastDisplayParams) {
+    lastDisplayParams.extensionList.querySelectorAll('.extension-item').forEach(item => {
+      const checkbox = item.querySelector('.extension-select');
+      if (checkbox) checkbox.checked = selectedExtensionIds.has(item.dataset.extensionId);
+    });
+  }
+  notifySelectionChange();
+}
+
+/**
+ * Deselects every extension.
+ */
+export function clearExtensionSelection() {
+  setExtensionsSelected([...selectedExtensionIds], false);
+}
+
+/**
+ * Registers a listener called with the selected ids whenever the selection changes.
+ * @param {Function} listener - Called with an array of extension IDs.
+ */
+export function onExtensionSelectionChange(listener) {
+  selectionListeners.add(listener);
+}
+
+function notifySelectionChange() {
+  const ids = getSelectedExtensionIds();
+  selectionListeners.forEach(listener => listener(ids));
+}
+
+/**
+ * Registers a listener called with the ids of extensions removed from the stored list,
+ * so lists kept elsewhere (e.g. the full list used for searching) can drop them too.
+ * @param {Function} listener - Called with an array of extension IDs.
+ */
+export function onExtensionsForgotten(listener) {
+  forgottenListeners.add(listener);
+}
+
+/**
+ * Drops extensions from the displayed list (after they were removed from the stored list) and re-renders it.
+ * @param {Array<string>} ids - The extension IDs.
+ * @returns {Promise<void>}
+ */
+export async function forgetDisplayedExtensions(ids) {
+  const forgotten = new Set(ids);
+  setExtensionsSelected(ids, false);
+  forgottenListeners.forEach(listener => listener(ids));
+  if (lastDisplayParams) {
+    lastDisplayParams.extensionsToDisplay = lastDisplayParams.extensionsToDisplay.filter(ext => !forgotten.has(ext.id));
+    await displayExtensions(lastDisplayParams);
   }
 }
 
 // Function to create the HTML structure for a single extension item
-function createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrowserName) {
+function createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrowserName, highlightWords = [], iconUrl = null) {
   const listItem = document.createElement('li');
   listItem.classList.add('extension-item');
   listItem.dataset.extensionId = ext.id; // Store ID for event listeners
@@ -195,9 +365,18 @@ function createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrow
     }
   }
 
+  // Installed extensions show their icon from chrome.management; others show the icon captured in the stored list or backup
+  let iconHtml = '';
+  if (iconUrl && /^chrome:\/\/extension-icon\/[^"<>\s]+$/.test(iconUrl)) {
+    iconHtml = `<img src="${iconUrl}" class="extension-icon" alt="">`;
+  } else if (typeof ext.iconDataUrl === 'string' && /^data:image\/[a-z+.-]+;base64,[A-Za-z0-9+/=]+$/.test(ext.iconDataUrl)) {
+    iconHtml = `<img src="${ext.iconDataUrl}" class="extension-icon" alt="">`;
+  }
+
   listItem.innerHTML = `
+    <input type="checkbox" class="extension-select" title="Select for bulk actions" ${selectedExtensionIds.has(ext.id) ? 'checked' : ''}>
     <div class="extension-info">
-      <strong><a href="${ext.homepageUrl || storeUrl}" target="_blank" title="${ext.homepageUrl || storeUrl}">${ext.name}</a></strong>${sourceIconHtml} ${!isInstalled ? '<span class="status-badge not-installed-badge">(Not Installed)</span>' : (isEnabled ? '' : '<span class="status-badge disabled-badge">(Disabled)</span>')}
+      <strong>${iconHtml}<a href="${ext.homepageUrl || storeUrl}" target="_blank" title="${ext.homepageUrl || storeUrl}">${ext.name}</a></strong>${sourceIconHtml} ${!isInstalled ? '<span class="status-badge not-installed-badge">(Not Installed)</span>' : (isEnabled ? '' : '<span class="status-badge disabled-badge">(Disabled)</span>')}
     </div>
     <div class="extension-actions">
       ${toggleHtml} <!-- Add the toggle switch here -->
@@ -207,6 +386,10 @@ function createExtensionListItem(ext, isInstalled, isEnabled, currentContextBrow
     </div>
   `;
 
+  if (highlightWords.length > 0) {
+    renderHighlightedText(listItem.querySelector('.extension-info strong a'), ext.name, highlightWords);
+  }
+
   return listItem;
 }
 
@@ -219,8 +402,12 @@ async function handleExtensionActionClick(event) {
   const extensionId = listItem.dataset.extensionId;
   if (!extensionId) return; // Should not happen
 
+  // Handle Bulk Selection Checkbox
+  if (target.matches('.extension-select') && event.type === 'change') {
+    setExtensionsSelected([extensionId], target.checked);
+  }
   // Handle Toggle Switch Change
-  if (target.matches('.switch__input') && event.type === 'change') {
+  else if (target.matches('.switch__input') && event.type === 'change') {
     const isEnabled = target.checked;
     console.log(`Setting extension ${extensionId} enabled status to: ${isEnabled}`);
 
@@ -321,13 +508,8 @@ async function handleExtensionActionClick(event) {
     try {
       const removed = await removeExtensionFromList(extensionId);
       if (removed) {
-        listItem.remove(); // Remove the item from the UI
+        await forgetDisplayedExtensions([extensionId]); // Remove the item from the UI and the search list
         console.log(`Extension ${extensionId} removed from UI.`);
-        // Check if the list is now empty
-        const extensionList = listItem.parentElement;
-        if (extensionList && !extensionList.querySelector('.extension-item')) {
-            extensionList.innerHTML = '<li class="empty-text">No extensions to display.</li>';
-        }
       } else {
         console.warn(`Extension ${extensionId} was not found in the stored list or removal failed.`);
         // Optionally alert the user, though console warning might suffice
@@ -338,7 +520,8 @@ async function handleExtensionActionClick(event) {
     }
   }
 }
-document.addEventListener('DOMContentLoaded', () => {
+// The service worker imports this module through backup-handler.js and has no document.
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   const sortNameBtn = document.getElementById('sort-name-button');
   const sortInstallBtn = document.getElementById('sort-install-button');
 
@@ -346,7 +529,8 @@ document.addEventListener('DOMContentLoaded', () => {
     sortNameBtn.addEventListener('click', async () => {
       currentSortMode = 'name';
       if (lastDisplayParams) {
-        await displayExtensions(lastDisplayParams);
+        // Choosing a sort order replaces the ranking of search results
+        await displayExtensions({ ...lastDisplayParams, ranked: false });
       }
     });
   }
@@ -355,7 +539,7 @@ document.addEventListener('DOMContentLoaded', () => {
     sortInstallBtn.addEventListener('click', async () => {
       currentSortMode = 'installed';
       if (lastDisplayParams) {
-        await displayExtensions(lastDisplayParams);
+        await displayExtensions({ ...lastDisplayParams, ranked: false });
       }
     });
   }
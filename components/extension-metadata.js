@@ -0,0 +1,175 @@
+// extension-metadata.js
+// Turns chrome.management ExtensionInfo objects into the extension entries kept in storage, exports and backups.
+// Besides id, name and URLs, entries carry version, enabled state, description, install type, options page and the icon as a data URL.
+// Also offers to reapply the enabled/disabled states saved in a restored backup to the extensions that are installed.
+// Extension Metadata Component
+
+import { showDialog } from './dialog.js';
+
+// Icons larger than this are left out of exports and backups
+const MAX_ICON_BYTES = 32 * 1024;
+// The icon size closest to what the extension list shows; captured icons are drawn at this size
+const PREFERRED_ICON_SIZE = 32;
+// Set once the browser refuses to let icons be read back from a canvas, so the rest are not tried
+let iconCaptureBlocked = false;
+
+/**
+ * Builds the stored entry for an installed extension. Fields the browser does not report are left out,
+ * so merging with mergeExtensionLists keeps the stored values for them.
+ * @param {object} info - An ExtensionInfo from chrome.management.
+ * @param {string} [iconDataUrl] - The icon as a data URL.
+ * @returns {object}
+ */
+export function toExtensionRecord(info, iconDataUrl) {
+  const record = {
+    id: info.id,
+    name: info.name,
+    homepageUrl: info.homepageUrl,
+    updateUrl: info.updateUrl,
+    version: info.version,
+    enabled: info.enabled,
+    description: info.description,
+    installType: info.installType,
+    optionsUrl: info.optionsUrl || undefined,
+    iconDataUrl
+  };
+  Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+  return record;
+}
+
+/**
+ * Returns the URL of an installed extension's icon closest to PREFERRED_ICON_SIZE, preferring larger ones.
+ * These chrome://extension-icon URLs only exist while the extension is installed and can only be loaded
+ * as <img> sources (not fetched); captureIconDataUrl turns them into data URLs for exports and backups.
+ * @param {object} info - An ExtensionInfo from chrome.management.
+ * @returns {string|null}
+ */
+export function getExtensionIconUrl(info) {
+  const icons = info && info.icons;
+  if (!Array.isArray(icons) || icons.length === 0) return null;
+  const larger = icons.filter(icon => icon.size >= PREFERRED_ICON_SIZE).sort((a, b) => a.size - b.size);
+  return (larger[0] || [...icons].sort((a, b) => b.size - a.size)[0]).url;
+}
+
+/**
+ * Captures an installed extension's icon as a PNG data URL by loading it into an <img> and drawing it on a canvas.
+ * Needs a document, so the service worker (auto backups) keeps the icons already stored instead.
+ * @param {object} info - An ExtensionInfo from chrome.management.
+ * @returns {Promise<string|undefined>} The data URL, or undefined if the icon is missing, too large or unreadable.
+ */
+export async function captureIconDataUrl(info) {
+  const iconUrl = getExtensionIconUrl(info);
+  if (!iconUrl || iconCaptureBlocked || typeof document === 'undefined') return undefined;
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('the icon could not be loaded'));
+      image.src = iconUrl;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = PREFERRED_ICON_SIZE;
+    canvas.height = PREFERRED_ICON_SIZE;
+    canvas.getContext('2d').drawImage(image, 0, 0, PREFERRED_ICON_SIZE, PREFERRED_ICON_SIZE);
+    const dataUrl = canvas.toDataURL('image/png');
+    // Base64 takes 4 characters for every 3 bytes
+    const bytes = (dataUrl.length - dataUrl.indexOf(',') - 1) * 3 / 4;
+    return bytes > MAX_ICON_BYTES ? undefined : dataUrl;
+  } catch (error) {
+    if (error.name === 'SecurityError') iconCaptureBlocked = true;
+    console.warn(`Could not read the icon of ${info.name}:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Reads the installed extensions (not themes or apps) as stored entries, with their icons as data URLs.
+ * Icons already stored for the same id and version are reused instead of captured again.
+ * @param {Array<object>} [storedExtensions] - The stored extension list.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getInstalledExtensionRecords(storedExtensions = []) {
+  if (!chrome.management || !chrome.management.getAll) return [];
+  const installed = await new Promise((resolve, reject) => {
+    chrome.management.getAll(items =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items)
+    );
+  });
+  const storedById = new Map((storedExtensions || []).filter(ext => ext && ext.id).map(ext => [ext.id, ext]));
+
+  const records = [];
+  for (const info of installed.filter(item => item.type === 'extension')) {
+    const stored = storedById.get(info.id);
+    const iconDataUrl = stored && stored.iconDataUrl && stored.version === info.version
+      ? stored.iconDataUrl
+      : await captureIconDataUrl(info);
+    records.push(toExtensionRecord(info, iconDataUrl));
+  }
+  return records;
+}
+
+/**
+ * After a restore, offers to reapply the saved enabled/disabled state to the installed extensions whose state differs,
+ * and reports the outcome. Extensions that are not installed are left to the reinstall wizard.
+ * @param {Array<object>} restoredExtensions - The extension entries of the restored backup.
+ * @returns {Promise<{enabled: Array<string>, disabled: Array<string>, failed: Array<string>}|null>} The outcome, or null if nothing was applied.
+ */
+export async function offerSavedEnabledStates(restoredExtensions) {
+  if (!chrome.management || !chrome.management.getAll) return null;
+  const installed = await new Promise((resolve) => {
+    chrome.management.getAll(items => resolve(chrome.runtime.lastError ? [] : items));
+  });
+  const installedById = new Map(installed.map(info => [info.id, info]));
+
+  const changes = (restoredExtensions || []).filter(ext => {
+    const info = installedById.get(ext.id);
+    return typeof ext.enabled === 'boolean' && info && info.id !== chrome.runtime.id && info.enabled !== ext.enabled;
+  });
+  if (changes.length === 0) return null;
+
+  const apply = await showDialog({
+    title: 'Reapply saved extension states?',
+    message: `${changes.length} installed extension(s) are in a different state than in the backup.`,
+    sections: [
+      { heading: 'Will be enabled', items: changes.filter(ext => ext.enabled).map(ext => ext.name) },
+      { heading: 'Will be disabled', items: changes.filter(ext => !ext.enabled).map(ext => ext.name) }
+    ],
+    confirmLabel: 'Reapply states',
+    cancelLabel: 'Keep current states'
+  });
+  if (!apply) return null;
+
+  const summary = { enabled: [], disabled: [], failed: [] };
+  for (const ext of changes) {
+    const info = installedById.get(ext.id);
+    if (ext.enabled ? info.mayEnable === false : info.mayDisable === false) {
+      summary.failed.push(`${info.name} (managed by policy)`);
+      continue;
+    }
+    try {
+      await new Promise((resolve, reject) => {
+        chrome.management.setEnabled(ext.id, ext.enabled, () =>
+          chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve()
+        );
+      });
+      (ext.enabled ? summary.enabled : summary.disabled).push(info.name);
+    } catch (error) {
+      console.error(`Could not ${ext.enabled ? 'enable' : 'disable'} ${info.name}:`, error);
+      summary.failed.push(`${info.name} (${error.message})`);
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    await showDialog({
+      title: 'Some states could not be reapplied',
+      sections: [
+        { heading: 'Could not be changed', items: summary.failed, className: 'report-dialog-errors' },
+        { heading: 'Enabled', items: summary.enabled },
+        { heading: 'Disabled', items: summary.disabled }
+      ],
+      confirmLabel: 'Close',
+      cancelLabel: null
+    });
+  }
+  return summary;
+}
@@ -0,0 +1,229 @@
+// extension-profiles.js
+// Named extension profiles: snapshots of which extensions are enabled, such as "Presenting" or "Dev".
+// Applying a profile calls chrome.management.setEnabled for every extension whose state differs and reports the outcome.
+// Profiles live in chrome.storage.local and travel with exports and backups under the "profiles" key.
+// Extension Profiles Component
+
+import { showDialog } from './dialog.js';
+import { getInstalledExtensions } from './extension-display.js';
+
+export const EXTENSION_PROFILES_KEY = 'extensionProfiles';
+
+/**
+ * Reads the saved profiles.
+ * @returns {Promise<Array<{name: string, createdAt: string, states: Object<string, {name: string, enabled: boolean}>}>>}
+ */
+export function getExtensionProfiles() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(EXTENSION_PROFILES_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("Error loading extension profiles:", chrome.runtime.lastError);
+        return resolve([]);
+      }
+      resolve(Array.isArray(result[EXTENSION_PROFILES_KEY]) ? result[EXTENSION_PROFILES_KEY] : []);
+    });
+  });
+}
+
+/**
+ * Writes the list of profiles.
+ * @param {Array<object>} profiles - The profiles to store.
+ * @returns {Promise<void>}
+ */
+function setExtensionProfiles(profiles) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [EXTENSION_PROFILES_KEY]: profiles }, () => {
+      if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Saves the current enabled/disabled state of all extensions as a profile, replacing one with the same name.
+ * @param {string} name - The profile name.
+ * @returns {Promise<object>} The saved profile.
+ */
+export async function saveExtensionProfile(name) {
+  const extensions = await getInstalledExtensions({ includeSelf: false });
+  const profile = {
+    name,
+    createdAt: new Date().toISOString(),
+    states: Object.fromEntries(extensions.map(ext => [ext.id, { name: ext.name, enabled: ext.enabled }]))
+  };
+  const profiles = (await getExtensionProfiles()).filter(existing => existing.name !== name);
+  profiles.push(profile);
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  await setExtensionProfiles(profiles);
+  return profile;
+}
+
+/**
+ * Deletes a profile.
+ * @param {string} name - The profile name.
+ * @returns {Promise<void>}
+ */
+export async function deleteExtensionProfile(name) {
+  const profiles = await getExtensionProfiles();
+  await setExtensionProfiles(profiles.filter(profile => profile.name !== name));
+}
+
+/**
+ * Adds profiles from an import or restore; profiles with the same name are replaced.
+ * @param {Array<object>} importedProfiles - Profiles from the imported payload.
+ * @returns {Promise<void>}
+ */
+export async function importExtensionProfiles(importedProfiles) {
+  if (!Array.isArray(importedProfiles) || importedProfiles.length === 0) return;
+  const importedNames = new Set(importedProfiles.map(profile => profile.name));
+  const profiles = (await getExtensionProfiles()).filter(profile => !importedNames.has(profile.name));
+  profiles.push(...importedProfiles);
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  await setExtensionProfiles(profiles);
+}
+
+/**
+ * Enables or disables one extension.
+ * @param {string} id - The extension ID.
+ * @param {boolean} enabled - The state to set.
+ * @returns {Promise<void>}
+ */
+function setExtensionEnabled(id, enabled) {
+  return new Promise((resolve, reject) => {
+    chrome.management.setEnabled(id, enabled, () =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve()
+    );
+  });
+}
+
+/**
+ * Applies a profile: every installed extension in the profile is set to its saved state.
+ * Extensions installed after the profile was saved are left alone.
+ * @param {object} profile - The profile to apply.
+ * @returns {Promise<{enabled: Array<string>, disabled: Array<string>, failed: Array<string>, missing: Array<string>}>}
+ *   Names of the extensions that changed, could not be changed, or are no longer installed.
+ */
+export async function applyExtensionProfile(profile) {
+  const summary = { enabled: [], disabled: [], failed: [], missing: [] };
+  const installed = new Map((await getInstalledExtensions({ includeSelf: false })).map(ext => [ext.id, ext]));
+
+  for (const [id, saved] of Object.entries(profile.states)) {
+    const ext = installed.get(id);
+    if (!ext) {
+      summary.missing.push(saved.name || id);
+      continue;
+    }
+    if (ext.enabled === saved.enabled) continue;
+
+    // Policy-installed extensions cannot be turned off (or on) by other extensions
+    if (saved.enabled ? ext.mayEnable === false : ext.mayDisable === false) {
+      summary.failed.push(`${ext.name} (cannot be ${saved.enabled ? 'enabled' : 'disabled'}; managed by policy)`);
+      continue;
+    }
+    try {
+      await setExtensionEnabled(id, saved.enabled);
+      (saved.enabled ? summary.enabled : summary.disabled).push(ext.name);
+    } catch (error) {
+      console.error(`Could not ${saved.enabled ? 'enable' : 'disable'} ${ext.name}:`, error);
+      summary.failed.push(`${ext.name} (${error.message})`);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Fills the profile dropdown.
+ * @param {HTMLSelectElement} select - The dropdown.
+ * @param {Array<object>} profiles - The saved profiles.
+ * @param {string} [selectedName] - The profile to select.
+ */
+function populateProfileSelect(select, profiles, selectedName) {
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = profiles.length ? 'Choose a profile...' : 'No saved profiles';
+  select.appendChild(placeholder);
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = `${profile.name} (${Object.values(profile.states).filter(state => state.enabled).length} on)`;
+    select.appendChild(option);
+  });
+  select.value = profiles.some(profile => profile.name === selectedName) ? selectedName : '';
+}
+
+/**
+ * Wires the profile controls on the Extensions tab.
+ * @param {object} elements
+ * @param {HTMLSelectElement} elements.select - The profile dropdown.
+ * @param {HTMLButtonElement} elements.applyButton - Applies the selected profile.
+ * @param {HTMLButtonElement} elements.saveButton - Saves the current state as a profile.
+ * @param {HTMLButtonElement} elements.deleteButton - Deletes the selected profile.
+ * @param {Function} onApplied - Called after a profile was applied, to refresh the extension list.
+ */
+export async function initializeExtensionProfiles({ select, applyButton, saveButton, deleteButton }, onApplied) {
+  const refresh = async (selectedName) => {
+    populateProfileSelect(select, await getExtensionProfiles(), selectedName);
+  };
+  await refresh();
+
+  // Profiles can also arrive through an import or restore while the popup is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[EXTENSION_PROFILES_KEY]) {
+      refresh(select.value);
+    }
+  });
+
+  saveButton.addEventListener('click', async () => {
+    const name = (prompt('Save the current extension states as profile:', select.value || '') || '').trim();
+    if (!name) return;
+    const profiles = await getExtensionProfiles();
+    if (profiles.some(profile => profile.name === name) && !confirm(`Replace the existing profile "${name}"?`)) {
+      return;
+    }
+    try {
+      await saveExtensionProfile(name);
+      await refresh(name);
+    } catch (error) {
+      console.error("Failed to save extension profile:", error);
+      alert(`Could not save the profile: ${error.message}`);
+    }
+  });
+
+  deleteButton.addEventListener('click', async () => {
+    if (!select.value || !confirm(`Delete the profile "${select.value}"?`)) return;
+    await deleteExtensionProfile(select.value);
+    await refresh();
+  });
+
+  applyButton.addEventListener('click', async () => {
+    const profile = (await getExtensionProfiles()).find(candidate => candidate.name === select.value);
+    if (!profile) {
+      alert('Please choose a profile to apply.');
+      return;
+    }
+    applyButton.disabled = true;
+    try {
+      const summary = await applyExtensionProfile(profile);
+      if (typeof onApplied === 'function') onApplied();
+      const changed = summary.enabled.length + summary.disabled.length;
+      await showDialog({
+        title: `Profile "${profile.name}" applied`,
+        message: changed ? `${changed} extension(s) changed.` : 'All extensions were already in this state.',
+        sections: [
+          { heading: 'Enabled', items: summary.enabled },
+          { heading: 'Disabled', items: summary.disabled },
+          { heading: 'Could not be changed', items: summary.failed, className: 'report-dialog-errors' },
+          { heading: 'No longer installed', items: summary.missing }
+        ],
+        confirmLabel: 'Close',
+        cancelLabel: null
+      });
+    } catch (error) {
+      console.error("Failed to apply extension profile:", error);
+      alert(`Could not apply the profile: ${error.message}`);
+    } finally {
+      applyButton.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,348 @@
+// extension-timeline.js
+// Timestamped log of extension installs, updates, uninstalls, enables and disables, recorded by the background service worker.
+// Keeps the last known name and version of every extension so uninstalls can be named and version changes detected,
+// also for changes made while the worker was not running. Renders a timeline view filterable by extension and date range.
+// Extension Timeline Component
+
+export const EXTENSION_EVENT_LOG_KEY = 'extensionEventLog';
+export const EXTENSION_VERSION_INDEX_KEY = 'extensionVersionIndex';
+
+// Oldest events are dropped beyond this
+const MAX_LOGGED_EVENTS = 2000;
+
+export const EXTENSION_EVENT_TYPES = {
+  installed: 'Installed',
+  updated: 'Updated',
+  uninstalled: 'Uninstalled',
+  enabled: 'Enabled',
+  disabled: 'Disabled'
+};
+
+// Events arrive in bursts (e.g. a bulk disable); writes are chained so none overwrites another
+let writeQueue = Promise.resolve();
+
+function getFromStorage(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(keys, (result) =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(result)
+    );
+  });
+}
+
+function setInStorage(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve()
+    );
+  });
+}
+
+/**
+ * Runs a read-modify-write of the event log and version index after all earlier ones.
+ * @param {Function} update - Receives {log, index, indexMissing} and mutates log and index; returning false skips the write.
+ *   indexMissing is true until the first reconcile has recorded the installed extensions.
+ * @returns {Promise<void>}
+ */
+function updateEventLog(update) {
+  writeQueue = writeQueue.then(async () => {
+    const result = await getFromStorage([EXTENSION_EVENT_LOG_KEY, EXTENSION_VERSION_INDEX_KEY]);
+    const log = Array.isArray(result[EXTENSION_EVENT_LOG_KEY]) ? result[EXTENSION_EVENT_LOG_KEY] : [];
+    const indexMissing = !result[EXTENSION_VERSION_INDEX_KEY];
+    const index = result[EXTENSION_VERSION_INDEX_KEY] || {};
+    if (update({ log, index, indexMissing }) === false) return;
+    await setInStorage({
+      [EXTENSION_EVENT_LOG_KEY]: log.slice(-MAX_LOGGED_EVENTS),
+      [EXTENSION_VERSION_INDEX_KEY]: index
+    });
+  }).catch(error => console.error("Failed to record extension event:", error));
+  return writeQueue;
+}
+
+/**
+ * Builds a log entry.
+ * @param {string} type - A key of EXTENSION_EVENT_TYPES.
+ * @param {string} id - The extension ID.
+ * @param {string} name - The extension name.
+ * @param {object} [details] - version and previousVersion.
+ * @returns {object}
+ */
+function createEvent(type, id, name, details = {}) {
+  return { timestamp: new Date().toISOString(), type, id, name, ...details };
+}
+
+/**
+ * Records an install or, when the version differs from the last one seen, an update.
+ * @param {object} info - The ExtensionInfo from chrome.management.onInstalled.
+ * @returns {Promise<void>}
+ */
+export function recordExtensionInstalled(info) {
+  if (info.type !== 'extension') return Promise.resolve();
+  return updateEventLog(({ log, index, indexMissing }) => {
+    if (indexMissing) return false; // The first reconcile records everything installed
+    const known = index[info.id];
+    if (!known) {
+      log.push(createEvent('installed', info.id, info.name, { version: info.version }));
+    } else if (known.version !== info.version) {
+      log.push(createEvent('updated', info.id, info.name, { version: info.version, previousVersion: known.version }));
+    }
+    index[info.id] = { name: info.name, version: info.version, enabled: info.enabled };
+  });
+}
+
+/**
+ * Records an uninstall, naming the extension from the version index.
+ * @param {string} id - The extension ID from chrome.management.onUninstalled.
+ * @returns {Promise<void>}
+ */
+export function recordExtensionUninstalled(id) {
+  return updateEventLog(({ log, index }) => {
+    const known = index[id];
+    if (!known) return false; // A theme or app, which are not tracked
+    log.push(createEvent('uninstalled', id, known.name, { version: known.version }));
+    delete index[id];
+  });
+}
+
+/**
+ * Records an enable or disable.
+ * @param {object} info - The ExtensionInfo from chrome.management.onEnabled or onDisabled.
+ * @returns {Promise<void>}
+ */
+export function recordExtensionEnabledChange(info) {
+  if (info.type !== 'extension') return Promise.resolve();
+  return updateEventLog(({ log, index, indexMissing }) => {
+    if (indexMissing) return false;
+    // Already recorded, e.g. by a reconcile that ran before this event was delivered
+    if (index[info.id] && index[info.id].enabled === info.enabled) return;
+    log.push(createEvent(info.enabled ? 'enabled' : 'disabled', info.id, info.name, { version: info.version }));
+    index[info.id] = { name: info.name, version: info.version, enabled: info.enabled };
+  });
+}
+
+/**
+ * Compares the installed extensions with the version index and records what changed while the
+ * worker was not listening, e.g. updates applied at browser startup. The first run only fills the index.
+ * @returns {Promise<void>}
+ */
+export async function reconcileExtensionEventLog() {
+  const installed = await new Promise((resolve, reject) => {
+    chrome.management.getAll(items =>
+      chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items.filter(item => item.type === 'extension'))
+    );
+  });
+  return updateEventLog(({ log, index, indexMissing }) => {
+    const isFirstRun = indexMissing;
+    const installedIds = new Set(installed.map(ext => ext.id));
+    for (const ext of installed) {
+      const known = index[ext.id];
+      if (!isFirstRun) {
+        if (!known) {
+          log.push(createEvent('installed', ext.id, ext.name, { version: ext.version }));
+        } else {
+          if (known.version !== ext.version) {
+            log.push(createEvent('updated', ext.id, ext.name, { version: ext.version, previousVersion: known.version }));
+          }
+          if (known.enabled !== undefined && known.enabled !== ext.enabled) {
+            log.push(createEvent(ext.enabled ? 'enabled' : 'disabled', ext.id, ext.name, { version: ext.version }));
+          }
+        }
+      }
+      index[ext.id] = { name: ext.name, version: ext.version, enabled: ext.enabled };
+    }
+    for (const id of Object.keys(index)) {
+      if (!installedIds.has(id)) {
+        log.push(createEvent('uninstalled', id, index[id].name, { version: index[id].version }));
+        delete index[id];
+      }
+    }
+  });
+}
+
+/**
+ * Reads the event log, oldest first.
+ * @returns {Promise<Array<{timestamp: string, type: string, id: string, name: string, version?: string, previousVersion?: string}>>}
+ */
+export async function getExtensionEventLog() {
+  const result = await getFromStorage(EXTENSION_EVENT_LOG_KEY);
+  return Array.isArray(result[EXTENSION_EVENT_LOG_KEY]) ? result[EXTENSION_EVENT_LOG_KEY] : [];
+}
+
+/**
+ * Deletes all recorded events (the version index is kept).
+ * @returns {Promise<void>}
+ */
+export function clearExtensionEventLog() {
+  return updateEventLog(({ log, indexMissing }) => {
+    if (indexMissing) return false;
+    log.length = 0;
+  });
+}
+
+/**
+ * Filters events by extension and date range.
+ * @param {Array<object>} events - Events from getExtensionEventLog.
+ * @param {object} filters
+ * @param {string} [filters.extensionId] - Only events of this extension.
+ * @param {Date} [filters.from] - Only events at or after this time.
+ * @param {Date} [filters.to] - Only events before this time.
+ * @returns {Array<object>} Matching events, newest first.
+ */
+export function filterExtensionEvents(events, { extensionId, from, to } = {}) {
+  return events
+    .filter(event => {
+      const time = new Date(event.timestamp);
+      return (!extensionId || event.id === extensionId) &&
+        (!from || time >= from) &&
+        (!to || time < to);
+    })
+    .reverse();
+}
+
+/**
+ * Describes one event for the timeline.
+ * @param {object} event - A logged event.
+ * @returns {string}
+ */
+function describeEvent(event) {
+  if (event.type === 'updated') {
+    return `${event.name} updated from ${event.previousVersion} to ${event.version}`;
+  }
+  const version = event.version ? ` (v${event.version})` : '';
+  return `${event.name}${version} ${EXTENSION_EVENT_TYPES[event.type].toLowerCase()}`;
+}
+
+/**
+ * Renders events grouped by day.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<object>} events - Filtered events, newest first.
+ */
+function displayTimeline(container, events) {
+  container.innerHTML = '';
+  if (events.length === 0) {
+    container.innerHTML = '<p class="empty-text">No extension changes recorded for this filter.</p>';
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.classList.add('timeline-list');
+  let currentDay = null;
+  events.forEach(event => {
+    const time = new Date(event.timestamp);
+    const day = time.toLocaleDateString();
+    if (day !== currentDay) {
+      currentDay = day;
+      const dayItem = document.createElement('li');
+      dayItem.classList.add('timeline-day');
+      dayItem.textContent = day;
+      list.appendChild(dayItem);
+    }
+
+    const item = document.createElement('li');
+    item.classList.add('timeline-event', `timeline-event-${event.type}`);
+    const timeText = document.createElement('span');
+    timeText.classList.add('timeline-time');
+    timeText.textContent = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const typeBadge = document.createElement('span');
+    typeBadge.classList.add('timeline-type');
+    typeBadge.textContent = EXTENSION_EVENT_TYPES[event.type] || event.type;
+    const description = document.createElement('span');
+    description.classList.add('timeline-description');
+    description.textContent = describeEvent(event);
+    description.title = event.id;
+    item.append(timeText, typeBadge, description);
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Fills the extension filter with every extension that appears in the log.
+ * @param {HTMLSelectElement} select - The extension filter.
+ * @param {Array<object>} events - All logged events.
+ */
+function populateExtensionFilter(select, events) {
+  const selected = select.value;
+  const names = new Map();
+  events.forEach(event => names.set(event.id, event.name));
+  select.innerHTML = '<option value="">All extensions</option>';
+  [...names]
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .forEach(([id, name]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+  select.value = names.has(selected) ? selected : '';
+}
+
+/**
+ * Wires the "Timeline" button: shows the timeline view in place of the extension list and
+ * re-filters it when the extension or dates change.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.openButton - The "Timeline" button.
+ * @param {HTMLElement} elements.view - The timeline view container (hidden by default).
+ * @param {HTMLElement} elements.results - The element the events are rendered into.
+ * @param {HTMLSelectElement} elements.extensionSelect - The extension filter.
+ * @param {HTMLInputElement} elements.fromInput - Start date (type="date"), inclusive.
+ * @param {HTMLInputElement} elements.toInput - End date (type="date"), inclusive.
+ * @param {HTMLButtonElement} elements.clearButton - Deletes the log.
+ * @param {HTMLButtonElement} elements.closeButton - Closes the view.
+ * @param {Array<HTMLElement>} elements.hiddenWhileOpen - Elements hidden while the view is open.
+ */
+export function initializeExtensionTimeline({ openButton, view, results, extensionSelect, fromInput, toInput, clearButton, closeButton, hiddenWhileOpen }) {
+  let events = [];
+  let hiddenByView = [];
+
+  const render = () => {
+    // Date inputs are local days; the end day is included in full
+    const from = fromInput.value ? new Date(`${fromInput.value}T00:00`) : undefined;
+    const to = toInput.value ? new Date(new Date(`${toInput.value}T00:00`).getTime() + 24 * 60 * 60 * 1000) : undefined;
+    displayTimeline(results, filterExtensionEvents(events, { extensionId: extensionSelect.value, from, to }));
+  };
+
+  const load = async () => {
+    results.innerHTML = '<p class="loading-text">Loading timeline...</p>';
+    try {
+      events = await getExtensionEventLog();
+      populateExtensionFilter(extensionSelect, events);
+      render();
+    } catch (error) {
+      console.error("Failed to load the extension timeline:", error);
+      results.innerHTML = '';
+      const errorText = document.createElement('p');
+      errorText.classList.add('error-text');
+      errorText.textContent = `Could not load the timeline: ${error.message}`;
+      results.appendChild(errorText);
+    }
+  };
+
+  openButton.addEventListener('click', () => {
+    // Only what was visible is restored on close, so views opened over each other unwind in order
+    hiddenByView = hiddenWhileOpen.filter(element => element !== view && !element.classList.contains('hidden'));
+    view.classList.remove('hidden');
+    hiddenByView.forEach(element => element.classList.add('hidden'));
+    load();
+  });
+
+  // Keep the open view current while the background records new events
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[EXTENSION_EVENT_LOG_KEY] && !view.classList.contains('hidden')) {
+      load();
+    }
+  });
+
+  [extensionSelect, fromInput, toInput].forEach(control => control.addEventListener('change', render));
+
+  clearButton.addEventListener('click', async () => {
+    if (!confirm('Delete the recorded extension timeline?')) return;
+    await clearExtensionEventLog();
+    await load();
+  });
+
+  closeButton.addEventListener('click', () => {
+    view.classList.add('hidden');
+    hiddenByView.forEach(element => element.classList.remove('hidden'));
+    hiddenByView = [];
+  });
+}
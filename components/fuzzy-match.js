@@ -0,0 +1,217 @@
+// fuzzy-match.js
+// Fuzzy matching of search words against titles, names and URLs, with a score for ranking and the matched character positions.
+// A word matches as a substring, as a subsequence that follows word starts ("gh" in "GitHub"), or with a typo or two in one word.
+// Also renders text with the matched characters highlighted.
+// Fuzzy Match Component
+
+const SUBSTRING_SCORE = 100;
+const SUBSEQUENCE_SCORE = 50;
+const TYPO_SCORE = 40;
+const BOUNDARY_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+// Subsequence matches spread wider than this many characters per query character are rejected unless they follow word starts
+const MAX_SPREAD_PER_CHAR = 3;
+// Words shorter than this must match without typos
+const MIN_TYPO_WORD_LENGTH = 4;
+// Words this long tolerate two typos instead of one
+const TWO_TYPO_WORD_LENGTH = 8;
+
+/**
+ * Checks whether the character at index starts a word: the first character, one after a separator,
+ * or an upper-case letter after a lower-case one ("Hub" in "GitHub").
+ * @param {string} text - The original text.
+ * @param {number} index - The character index.
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+  if (index === 0) return true;
+  const previous = text[index - 1];
+  const current = text[index];
+  if (!/[\p{L}\p{N}]/u.test(previous)) return true;
+  return current !== current.toLowerCase() && previous === previous.toLowerCase();
+}
+
+/**
+ * Splits a text into words at separators (not at case changes, so "GitHub" stays one word), returning each word's range.
+ * @param {string} text - The original text.
+ * @returns {Array<{start: number, end: number}>} Ranges with an exclusive end.
+ */
+function splitWords(text) {
+  const words = [];
+  let start = -1;
+  for (let i = 0; i <= text.length; i++) {
+    const isWordChar = i < text.length && /[\p{L}\p{N}]/u.test(text[i]);
+    if (start !== -1 && !isWordChar) {
+      words.push({ start, end: i });
+      start = -1;
+    }
+    if (isWordChar && start === -1) start = i;
+  }
+  return words;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein with adjacent transpositions).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(value);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Matches the word as a subsequence, preferring characters that continue the previous match or start a word.
+ * @param {string} word - The lower-case search word.
+ * @param {string} text - The original text.
+ * @param {string} lowerText - The text in lower case.
+ * @returns {{score: number, positions: Array<number>}|null}
+ */
+function matchSubsequence(word, text, lowerText) {
+  const positions = [];
+  let score = SUBSEQUENCE_SCORE;
+  let from = 0;
+  let allAnchored = true;
+  for (const char of word) {
+    const first = lowerText.indexOf(char, from);
+    if (first === -1) return null;
+    let chosen = first;
+    if (first !== from || positions.length === 0) {
+      // Look ahead for the same character at a word start, which reads more like what was meant
+      for (let i = first; i !== -1; i = lowerText.indexOf(char, i + 1)) {
+        if (isWordStart(text, i)) {
+          chosen = i;
+          break;
+        }
+      }
+    }
+    const consecutive = positions.length > 0 && chosen === positions[positions.length - 1] + 1;
+    const boundary = isWordStart(text, chosen);
+    if (consecutive) score += CONSECUTIVE_BONUS;
+    if (boundary) score += BOUNDARY_BONUS;
+    if (!consecutive && !boundary) allAnchored = false;
+    positions.push(chosen);
+    from = chosen + 1;
+  }
+  const spread = positions[positions.length - 1] - positions[0] + 1;
+  if (!allAnchored && spread > word.length * MAX_SPREAD_PER_CHAR) return null;
+  return { score: score - (spread - word.length), positions };
+}
+
+/**
+ * Matches the word against each word of the text (whole, or its prefix of the same length), allowing typos.
+ * @param {string} word - The lower-case search word.
+ * @param {string} text - The original text.
+ * @param {string} lowerText - The text in lower case.
+ * @returns {{score: number, positions: Array<number>}|null}
+ */
+function matchWithTypos(word, text, lowerText) {
+  if (word.length < MIN_TYPO_WORD_LENGTH) return null;
+  const allowed = word.length >= TWO_TYPO_WORD_LENGTH ? 2 : 1;
+  let best = null;
+  for (const { start, end } of splitWords(text)) {
+    if (end - start < word.length - allowed) continue;
+    const candidates = [end, Math.min(end, start + word.length)];
+    for (const candidateEnd of candidates) {
+      const distance = editDistance(word, lowerText.slice(start, candidateEnd));
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { distance, start, end: candidateEnd };
+      }
+    }
+  }
+  if (!best) return null;
+  const positions = [];
+  for (let i = best.start; i < best.end; i++) positions.push(i);
+  return { score: TYPO_SCORE - best.distance * 10, positions };
+}
+
+/**
+ * Fuzzily matches one search word against a text.
+ * @param {string} word - The search word, in lower case.
+ * @param {string} text - The text to search.
+ * @returns {{score: number, positions: Array<number>}|null} A higher score is a better match; positions are
+ *   the indexes of the matched characters in text. Null if the word does not match.
+ */
+export function fuzzyMatch(word, text) {
+  if (!word || !text) return null;
+  const lowerText = text.toLowerCase();
+  // Lower-casing can change the length of some characters; positions would be off, so only exact matching is used then
+  const sameLength = lowerText.length === text.length;
+  const index = lowerText.indexOf(word);
+  if (index !== -1) {
+    const positions = [];
+    for (let i = index; i < index + word.length; i++) positions.push(i);
+    return { score: SUBSTRING_SCORE + (isWordStart(text, index) ? BOUNDARY_BONUS * 2 : 0) + word.length, positions };
+  }
+  if (!sameLength) return null;
+  return matchSubsequence(word, text, lowerText) || matchWithTypos(word, text, lowerText);
+}
+
+/**
+ * Returns the positions of all characters of text matched by any of the words.
+ * @param {string} text - The displayed text.
+ * @param {Array<string>} words - Lower-case search words.
+ * @returns {Set<number>}
+ */
+export function getHighlightPositions(text, words) {
+  const positions = new Set();
+  for (const word of words || []) {
+    const match = fuzzyMatch(word, text);
+    if (match) match.positions.forEach(position => positions.add(position));
+  }
+  return positions;
+}
+
+/**
+ * Replaces an element's content with text in which the characters matched by the words are wrapped in <mark>.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {string} text - The text to show.
+ * @param {Array<string>} words - Lower-case search words.
+ */
+export function renderHighlightedText(element, text, words) {
+  const positions = getHighlightPositions(text, words);
+  if (positions.size === 0) {
+    element.textContent = text;
+    return;
+  }
+  element.textContent = '';
+  let run = '';
+  let runMarked = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMarked) {
+      const mark = document.createElement('mark');
+      mark.classList.add('search-highlight');
+      mark.textContent = run;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const marked = positions.has(i);
+    if (marked !== runMarked) {
+      flush();
+      runMarked = marked;
+    }
+    run += text[i];
+  }
+  flush();
+}
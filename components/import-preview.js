@@ -0,0 +1,157 @@
+// import-preview.js
+// Computes what an import would change before anything is written to chrome.bookmarks or importedDataList.
+// Compares the browser tree before and after the sync (bookmarks by URL, folders by path) and the stored extension list.
+// Shows the added, removed and moved entries in a dialog and lets the user confirm or cancel the import.
+// Import Preview Component
+
+import { showDialog } from './dialog.js';
+
+const PATH_SEPARATOR = ' / ';
+
+/**
+ * Flattens a bookmark tree into bookmark and folder entries with their folder paths.
+ * The unnamed root node is not part of any path.
+ * @param {Array<object>} nodes - The bookmark nodes.
+ * @param {Array<string>} [parentPath=[]] - Titles of the ancestor folders.
+ * @param {{bookmarks: Array<object>, folders: Array<string>}} [entries] - Accumulator.
+ * @returns {{bookmarks: Array<{title: string, url: string, path: string}>, folders: Array<string>}}
+ */
+function flattenBookmarkTree(nodes, parentPath = [], entries = { bookmarks: [], folders: [] }) {
+  for (const node of nodes || []) {
+    if (node.url) {
+      entries.bookmarks.push({ title: node.title || node.url, url: node.url, path: parentPath.join(PATH_SEPARATOR) });
+    } else if (Array.isArray(node.children)) {
+      const isRoot = parentPath.length === 0 && !node.title;
+      const folderPath = isRoot ? parentPath : [...parentPath, node.title || '(untitled)'];
+      if (!isRoot) entries.folders.push(folderPath.join(PATH_SEPARATOR));
+      flattenBookmarkTree(node.children, folderPath, entries);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Groups items into lists by key.
+ * @param {Array<*>} items - The items to group.
+ * @param {Function} getKey - Returns the key of an item.
+ * @returns {Map<string, Array<*>>}
+ */
+function groupBy(items, getKey) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Removes and returns the first element matching a predicate.
+ * @param {Array<*>} list - The list to search (modified in place).
+ * @param {Function} predicate - The match test.
+ * @returns {*} The removed element, or undefined.
+ */
+function takeFirst(list, predicate) {
+  const index = list.findIndex(predicate);
+  return index === -1 ? undefined : list.splice(index, 1)[0];
+}
+
+/**
+ * Compares two bookmark trees. Bookmarks are matched by URL: a URL found in a different folder
+ * counts as a move, otherwise as an addition or removal. Folders are matched by their path.
+ * @param {Array<object>} beforeTree - The current tree.
+ * @param {Array<object>} afterTree - The tree after the change.
+ * @returns {{added: Array<object>, removed: Array<object>, moved: Array<object>, addedFolders: Array<string>, removedFolders: Array<string>}}
+ */
+export function diffBookmarkTrees(beforeTree, afterTree) {
+  const before = flattenBookmarkTree(beforeTree);
+  const after = flattenBookmarkTree(afterTree);
+  const changes = { added: [], removed: [], moved: [], addedFolders: [], removedFolders: [] };
+
+  const beforeByUrl = groupBy(before.bookmarks, bookmark => bookmark.url);
+  const afterByUrl = groupBy(after.bookmarks, bookmark => bookmark.url);
+  for (const url of new Set([...beforeByUrl.keys(), ...afterByUrl.keys()])) {
+    const remainingBefore = [...(beforeByUrl.get(url) || [])];
+    const remainingAfter = [];
+    // Copies that stay in the same folder are unchanged
+    for (const bookmark of afterByUrl.get(url) || []) {
+      if (!takeFirst(remainingBefore, old => old.path === bookmark.path)) {
+        remainingAfter.push(bookmark);
+      }
+    }
+    // Pair the rest up as moves; whatever is left over was added or removed
+    while (remainingBefore.length && remainingAfter.length) {
+      const from = remainingBefore.shift();
+      const to = remainingAfter.shift();
+      changes.moved.push({ title: to.title, url, fromPath: from.path, toPath: to.path });
+    }
+    changes.added.push(...remainingAfter);
+    changes.removed.push(...remainingBefore);
+  }
+
+  const remainingFolders = [...before.folders];
+  for (const folder of after.folders) {
+    if (!takeFirst(remainingFolders, old => old === folder)) {
+      changes.addedFolders.push(folder);
+    }
+  }
+  changes.removedFolders = remainingFolders;
+  return changes;
+}
+
+/**
+ * Compares the stored extension list with the list after merging an import.
+ * @param {Array<object>} storedExtensions - Extensions currently in importedDataList.
+ * @param {Array<object>} mergedExtensions - Extensions that would be saved.
+ * @returns {{added: Array<object>, updated: Array<object>}}
+ */
+export function diffExtensionLists(storedExtensions, mergedExtensions) {
+  const storedById = new Map((storedExtensions || []).map(ext => [ext.id, ext]));
+  const changes = { added: [], updated: [] };
+  for (const ext of mergedExtensions || []) {
+    const stored = storedById.get(ext.id);
+    if (!stored) {
+      changes.added.push(ext);
+    } else if (JSON.stringify(stored) !== JSON.stringify(ext)) {
+      changes.updated.push(ext);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Shows the changes an import would make and asks the user to confirm them.
+ * @param {object} preview
+ * @param {object|null} preview.bookmarkChanges - Result of diffBookmarkTrees, or null if the browser tree is left alone.
+ * @param {object} preview.extensionChanges - Result of diffExtensionLists.
+ * @returns {Promise<boolean>} True if the user confirmed the import.
+ */
+export function confirmImportPreview({ bookmarkChanges, extensionChanges }) {
+  const describeBookmark = bookmark => `${bookmark.title} (${bookmark.path || 'top level'})`;
+  const sections = [];
+  if (bookmarkChanges) {
+    sections.push(
+      { heading: 'Bookmarks to add', items: bookmarkChanges.added.map(describeBookmark) },
+      { heading: 'Bookmarks to remove', items: bookmarkChanges.removed.map(describeBookmark), className: 'report-dialog-errors' },
+      { heading: 'Bookmarks to move', items: bookmarkChanges.moved.map(move => `${move.title}: ${move.fromPath || 'top level'} → ${move.toPath || 'top level'}`) },
+      { heading: 'Folders to add', items: bookmarkChanges.addedFolders },
+      { heading: 'Folders to remove', items: bookmarkChanges.removedFolders, className: 'report-dialog-errors' }
+    );
+  }
+  sections.push(
+    { heading: 'Extensions to add', items: extensionChanges.added.map(ext => ext.name || ext.id) },
+    { heading: 'Extensions to update', items: extensionChanges.updated.map(ext => ext.name || ext.id) }
+  );
+
+  const hasChanges = sections.some(section => section.items.length > 0);
+  return showDialog({
+    title: 'Review import',
+    message: hasChanges
+      ? 'The following changes will be made to your browser bookmarks and saved extension list.'
+      : 'This import does not change any bookmarks or extensions.',
+    sections,
+    confirmLabel: 'Apply import',
+    cancelLabel: 'Cancel'
+  });
+}
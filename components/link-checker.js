@@ -0,0 +1,402 @@
+// link-checker.js
+// Checks the health of bookmark URLs with a bounded number of parallel requests and a timeout per request.
+// Classifies each URL as OK, redirected, client error, server error or unreachable and caches the result with its date.
+// Provides the cached status for badges in the bookmark tree and bulk actions to delete dead or update redirected bookmarks.
+// Link Checker Component
+
+import { removeBookmarkById } from './data-handler.js';
+
+export const LINK_CHECK_RESULTS_KEY = 'linkCheckResults';
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  CLIENT_ERROR: 'client-error',
+  SERVER_ERROR: 'server-error',
+  UNREACHABLE: 'unreachable'
+};
+
+const LINK_STATUS_LABELS = {
+  [LINK_STATUS.OK]: 'OK',
+  [LINK_STATUS.REDIRECTED]: 'Redirected',
+  [LINK_STATUS.CLIENT_ERROR]: 'Client error',
+  [LINK_STATUS.SERVER_ERROR]: 'Server error',
+  [LINK_STATUS.UNREACHABLE]: 'Unreachable'
+};
+
+// Client errors and unreachable hosts count as dead; server errors are often temporary
+const DEAD_LINK_STATUSES = [LINK_STATUS.CLIENT_ERROR, LINK_STATUS.UNREACHABLE];
+
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_TIMEOUT_MS = 10000;
+const SAVE_EVERY_RESULTS = 25;
+const HOST_PERMISSIONS = ['https://*/*', 'http://*/*'];
+
+// url -> result; loaded once per popup so renderBookmarkNode can read it synchronously
+let cachedResults = {};
+
+/**
+ * Loads the cached link check results from storage.
+ * @returns {Promise<object>} Results keyed by URL.
+ */
+export function loadLinkCheckResults() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(LINK_CHECK_RESULTS_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("Error loading link check results:", chrome.runtime.lastError);
+        return resolve(cachedResults);
+      }
+      cachedResults = result[LINK_CHECK_RESULTS_KEY] || {};
+      resolve(cachedResults);
+    });
+  });
+}
+
+/**
+ * Saves the link check results to storage.
+ * @returns {Promise<void>}
+ */
+function saveLinkCheckResults() {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [LINK_CHECK_RESULTS_KEY]: cachedResults }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving link check results:", chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Returns the cached result for a URL.
+ * @param {string} url - The bookmark URL.
+ * @returns {{status: string, httpStatus?: number, finalUrl?: string, checkedAt: string}|null}
+ */
+export function getCachedLinkStatus(url) {
+  return cachedResults[url] || null;
+}
+
+/**
+ * Describes a result for tooltips and lists, e.g. "Client error (404), checked 5/1/2026".
+ * @param {object} result - A link check result.
+ * @returns {string}
+ */
+export function describeLinkStatus(result) {
+  const httpStatus = result.httpStatus ? ` (${result.httpStatus})` : '';
+  const target = result.status === LINK_STATUS.REDIRECTED ? ` to ${result.finalUrl}` : '';
+  return `${LINK_STATUS_LABELS[result.status]}${httpStatus}${target}, checked ${new Date(result.checkedAt).toLocaleDateString()}`;
+}
+
+/**
+ * Creates the badge shown next to a bookmark with a problem; OK links get no badge.
+ * @param {string} url - The bookmark URL.
+ * @returns {HTMLElement|null}
+ */
+export function createLinkStatusBadge(url) {
+  const result = getCachedLinkStatus(url);
+  if (!result || result.status === LINK_STATUS.OK) return null;
+
+  const badge = document.createElement('span');
+  badge.classList.add('link-badge', `link-badge-${result.status}`);
+  badge.textContent = result.status === LINK_STATUS.REDIRECTED ? 'Moved'
+    : result.status === LINK_STATUS.UNREACHABLE ? 'Dead'
+    : String(result.httpStatus);
+  badge.title = describeLinkStatus(result);
+  return badge;
+}
+
+/**
+ * Requests a URL, following redirects, and aborts after a timeout.
+ * @param {string} url - The URL to request.
+ * @param {string} method - 'HEAD' or 'GET'.
+ * @param {number} timeoutMs - The timeout in milliseconds.
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, method, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method,
+      redirect: 'follow',
+      cache: 'no-store',
+      credentials: 'omit',
+      signal: controller.signal
+    });
+    // Only the status matters, so don't download the body
+    if (response.body) response.body.cancel().catch(() => {});
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks a single URL. HEAD is tried first; servers that reject it get a GET.
+ * @param {string} url - The bookmark URL.
+ * @param {number} [timeoutMs] - The timeout per request in milliseconds.
+ * @returns {Promise<{status: string, httpStatus?: number, finalUrl?: string, checkedAt: string}>}
+ */
+export async function checkLink(url, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const checkedAt = new Date().toISOString();
+  let response;
+  try {
+    response = await fetchWithTimeout(url, 'HEAD', timeoutMs);
+    if (response.status >= 400) {
+      response = await fetchWithTimeout(url, 'GET', timeoutMs);
+    }
+  } catch (error) {
+    return { status: LINK_STATUS.UNREACHABLE, checkedAt };
+  }
+
+  const httpStatus = response.status;
+  if (httpStatus >= 500) return { status: LINK_STATUS.SERVER_ERROR, httpStatus, checkedAt };
+  if (httpStatus >= 400) return { status: LINK_STATUS.CLIENT_ERROR, httpStatus, checkedAt };
+  if (response.redirected && response.url && response.url !== url) {
+    return { status: LINK_STATUS.REDIRECTED, httpStatus, finalUrl: response.url, checkedAt };
+  }
+  return { status: LINK_STATUS.OK, httpStatus, checkedAt };
+}
+
+/**
+ * Checks a list of URLs with at most `concurrency` requests in flight, caching each result.
+ * @param {Array<string>} urls - The URLs to check (duplicates are checked once).
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Maximum parallel requests.
+ * @param {number} [options.timeoutMs] - Timeout per request in milliseconds.
+ * @param {Function} [options.onProgress] - Called with (checkedCount, totalCount) after each URL.
+ * @param {Function} [options.isCancelled] - Returns true to stop starting new checks.
+ * @returns {Promise<object>} The cached results, keyed by URL.
+ */
+export async function checkLinks(urls, { concurrency = DEFAULT_CONCURRENCY, timeoutMs = DEFAULT_TIMEOUT_MS, onProgress, isCancelled } = {}) {
+  const queue = [...new Set(urls)];
+  const total = queue.length;
+  let checked = 0;
+
+  const worker = async () => {
+    while (queue.length && !(isCancelled && isCancelled())) {
+      const url = queue.shift();
+      cachedResults[url] = await checkLink(url, timeoutMs);
+      checked += 1;
+      if (checked % SAVE_EVERY_RESULTS === 0) await saveLinkCheckResults();
+      if (typeof onProgress === 'function') onProgress(checked, total);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+  await saveLinkCheckResults();
+  return cachedResults;
+}
+
+/**
+ * Collects the web bookmarks of a tree.
+ * @param {Array<object>} nodes - The bookmark nodes.
+ * @param {Array<string>} [path=[]] - Titles of the ancestor folders.
+ * @param {Array<object>} [bookmarks=[]] - Accumulator.
+ * @returns {Array<{id: string, title: string, url: string, path: string}>}
+ */
+function collectWebBookmarks(nodes, path = [], bookmarks = []) {
+  for (const node of nodes || []) {
+    if (node.url) {
+      if (/^https?:/i.test(node.url)) {
+        bookmarks.push({ id: node.id, title: node.title || node.url, url: node.url, path: path.join(' / ') });
+      }
+    } else if (node.children && !node.unmodifiable) {
+      collectWebBookmarks(node.children, node.title ? [...path, node.title] : path, bookmarks);
+    }
+  }
+  return bookmarks;
+}
+
+/**
+ * Points a bookmark at a new URL and moves its cached result along.
+ * @param {object} bookmark - The bookmark ({id, url}).
+ * @param {string} newUrl - The URL to set.
+ * @returns {Promise<void>}
+ */
+function updateBookmarkUrl(bookmark, newUrl) {
+  return new Promise((resolve, reject) => {
+    chrome.bookmarks.update(bookmark.id, { url: newUrl }, () => {
+      if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+      cachedResults[newUrl] = { status: LINK_STATUS.OK, checkedAt: cachedResults[bookmark.url].checkedAt };
+      resolve();
+    });
+  });
+}
+
+/**
+ * Renders the scan results: counts per status, the problem bookmarks and the bulk actions.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<object>} bookmarks - The scanned bookmarks.
+ * @param {object} handlers - {onDeleteDead(bookmarks), onUpdateRedirected(bookmarks)}.
+ */
+function displayLinkCheckResults(container, bookmarks, { onDeleteDead, onUpdateRedirected }) {
+  container.innerHTML = '';
+  const byStatus = new Map(Object.values(LINK_STATUS).map(status => [status, []]));
+  bookmarks.forEach(bookmark => {
+    const result = getCachedLinkStatus(bookmark.url);
+    if (result) byStatus.get(result.status).push(bookmark);
+  });
+
+  const summary = document.createElement('p');
+  summary.classList.add('link-check-summary');
+  summary.textContent = Object.values(LINK_STATUS)
+    .map(status => `${LINK_STATUS_LABELS[status]}: ${byStatus.get(status).length}`)
+    .join(' · ');
+  container.appendChild(summary);
+
+  const deadBookmarks = DEAD_LINK_STATUSES.flatMap(status => byStatus.get(status));
+  const redirectedBookmarks = byStatus.get(LINK_STATUS.REDIRECTED);
+
+  const actions = document.createElement('div');
+  actions.classList.add('link-check-actions');
+  const deleteButton = document.createElement('button');
+  deleteButton.classList.add('button', 'button-secondary');
+  deleteButton.textContent = `Delete dead (${deadBookmarks.length})`;
+  deleteButton.disabled = deadBookmarks.length === 0;
+  deleteButton.addEventListener('click', () => {
+    if (confirm(`Delete ${deadBookmarks.length} bookmark(s) with client errors or unreachable hosts?`)) {
+      onDeleteDead(deadBookmarks);
+    }
+  });
+  const updateButton = document.createElement('button');
+  updateButton.classList.add('button', 'button-secondary');
+  updateButton.textContent = `Update redirected (${redirectedBookmarks.length})`;
+  updateButton.disabled = redirectedBookmarks.length === 0;
+  updateButton.addEventListener('click', () => {
+    if (confirm(`Update ${redirectedBookmarks.length} redirected bookmark(s) to their final URL?`)) {
+      onUpdateRedirected(redirectedBookmarks);
+    }
+  });
+  actions.append(deleteButton, updateButton);
+  container.appendChild(actions);
+
+  const problems = bookmarks.filter(bookmark => {
+    const result = getCachedLinkStatus(bookmark.url);
+    return result && result.status !== LINK_STATUS.OK;
+  });
+  if (problems.length === 0) {
+    container.insertAdjacentHTML('beforeend', '<p class="empty-text">All checked links are OK.</p>');
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.classList.add('link-check-list');
+  problems.forEach(bookmark => {
+    const item = document.createElement('li');
+    item.classList.add('link-check-item');
+    const title = document.createElement('a');
+    title.href = bookmark.url;
+    title.target = '_blank';
+    title.textContent = bookmark.title;
+    title.title = bookmark.url;
+    const details = document.createElement('span');
+    details.classList.add('link-check-details');
+    details.textContent = `${bookmark.path || 'Top level'} · ${describeLinkStatus(getCachedLinkStatus(bookmark.url))}`;
+    const badge = createLinkStatusBadge(bookmark.url);
+    if (badge) item.appendChild(badge);
+    item.append(title, details);
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Wires the "Check links" button: asks for access to websites, scans the live bookmarks with
+ * progress and a cancel button, and shows the results and bulk actions in place of the tree.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.checkButton - The "Check links" button.
+ * @param {HTMLElement} elements.view - The link check view (hidden by default).
+ * @param {HTMLElement} elements.results - The element the results are rendered into.
+ * @param {HTMLButtonElement} elements.closeButton - The button that closes the view.
+ * @param {HTMLElement} elements.bookmarksTreeContainer - The bookmark tree, hidden while the view is open.
+ * @param {Function} onClose - Called when the view is closed, to refresh the tree and its badges.
+ */
+export function initializeLinkChecker({ checkButton, view, results, closeButton, bookmarksTreeContainer }, onClose) {
+  let cancelled = false;
+  let bookmarks = [];
+
+  const render = () => displayLinkCheckResults(results, bookmarks, {
+    onDeleteDead: (deadBookmarks) => runBulkAction(deadBookmarks, bookmark => removeBookmarkById(bookmark.id), 'delete'),
+    onUpdateRedirected: (redirected) => runBulkAction(redirected, bookmark => updateBookmarkUrl(bookmark, getCachedLinkStatus(bookmark.url).finalUrl), 'update')
+  });
+
+  const runBulkAction = async (selected, action, verb) => {
+    results.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    const done = new Set();
+    let failed = 0;
+    for (const bookmark of selected) {
+      try {
+        await action(bookmark);
+        done.add(bookmark);
+      } catch (error) {
+        console.error(`Failed to ${verb} bookmark ${bookmark.id}:`, error);
+        failed += 1;
+      }
+    }
+    await saveLinkCheckResults();
+    if (verb === 'delete') {
+      bookmarks = bookmarks.filter(bookmark => !done.has(bookmark));
+    } else {
+      done.forEach(bookmark => { bookmark.url = getCachedLinkStatus(bookmark.url).finalUrl; });
+    }
+    if (failed > 0) {
+      alert(`${done.size} bookmark(s) done; ${failed} failed. See the console for details.`);
+    }
+    render();
+  };
+
+  const scan = async () => {
+    cancelled = false;
+    results.innerHTML = '';
+    const progress = document.createElement('p');
+    progress.classList.add('loading-text');
+    progress.textContent = 'Reading bookmarks...';
+    const cancelButton = document.createElement('button');
+    cancelButton.classList.add('button', 'button-secondary');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => {
+      cancelled = true;
+      cancelButton.disabled = true;
+    });
+    results.append(progress, cancelButton);
+
+    try {
+      const tree = await new Promise((resolve, reject) => {
+        chrome.bookmarks.getTree(items => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(items));
+      });
+      bookmarks = collectWebBookmarks(tree);
+      await loadLinkCheckResults();
+      await checkLinks(bookmarks.map(bookmark => bookmark.url), {
+        isCancelled: () => cancelled,
+        onProgress: (checked, total) => { progress.textContent = `Checked ${checked} of ${total} links...`; }
+      });
+      render();
+    } catch (error) {
+      console.error("Link check failed:", error);
+      results.innerHTML = '';
+      const errorText = document.createElement('p');
+      errorText.classList.add('error-text');
+      errorText.textContent = `Link check failed: ${error.message}`;
+      results.appendChild(errorText);
+    }
+  };
+
+  checkButton.addEventListener('click', async () => {
+    // Must be requested directly from the click, before any other await
+    const granted = await chrome.permissions.request({ origins: HOST_PERMISSIONS });
+    if (!granted) {
+      alert('Checking links needs access to websites. Permission was not granted.');
+      return;
+    }
+    view.classList.remove('hidden');
+    bookmarksTreeContainer.classList.add('hidden');
+    scan();
+  });
+
+  closeButton.addEventListener('click', () => {
+    cancelled = true;
+    view.classList.add('hidden');
+    bookmarksTreeContainer.classList.remove('hidden');
+    if (typeof onClose === 'function') onClose();
+  });
+}
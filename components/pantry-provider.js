@@ -0,0 +1,84 @@
+// pantry-provider.js
+// Backup provider for the getpantry.cloud service, storing each backup document as a Pantry basket.
+// Wraps the Pantry REST API (basket POST/GET/DELETE and pantry details) behind the common provider interface.
+// Pantry Provider Component
+
+const PANTRY_API_BASE = 'https://getpantry.cloud/apiv1/pantry';
+
+/**
+ * Throws a descriptive error for a failed Pantry API response.
+ * @param {Response} response - The fetch response.
+ */
+async function throwPantryError(response) {
+  const errorText = await response.text();
+  throw new Error(`Pantry API Error (${response.status}): ${errorText || response.statusText}`);
+}
+
+/**
+ * Creates a Pantry backup provider.
+ * @param {object} config
+ * @param {string} config.pantryId - The user's Pantry ID.
+ * @returns {import('./backup-providers.js').BackupProvider}
+ */
+export function createPantryProvider({ pantryId }) {
+  const pantryUrl = `${PANTRY_API_BASE}/${pantryId}`;
+  const getBasketUrl = (basketName) => `${pantryUrl}/basket/${encodeURIComponent(basketName)}`;
+
+  return {
+    id: 'pantry',
+    name: 'Pantry',
+
+    async save(key, data) {
+      // POST replaces the basket contents (PUT would merge into them)
+      const response = await fetch(getBasketUrl(key), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(data)
+      });
+      if (!response.ok) {
+        await throwPantryError(response);
+      }
+      console.log('Pantry Backup Response:', await response.text());
+    },
+
+    async load(key) {
+      const response = await fetch(getBasketUrl(key), {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json' // Important for Pantry GET
+        }
+      });
+      // Pantry answers 400 for a basket that does not exist
+      if (response.status === 400 || response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        await throwPantryError(response);
+      }
+      return response.json();
+    },
+
+    async list() {
+      const response = await fetch(pantryUrl, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        await throwPantryError(response);
+      }
+      const details = await response.json();
+      return Array.isArray(details?.baskets) ? details.baskets.map(basket => basket.name) : [];
+    },
+
+    async delete(key) {
+      const response = await fetch(getBasketUrl(key), { method: 'DELETE' });
+      if (!response.ok && response.status !== 400 && response.status !== 404) {
+        await throwPantryError(response);
+      }
+    }
+  };
+}
@@ -1,21 +1,34 @@
 // popup-data.js
 // Handles data loading, merging, filtering, browser detection, and backup/restore logic for the popup
 
-import { displayExtensions, getStoreUrl } from './extension-display.js';
+import { displayExtensions, getStoreUrl, getSourceStore, getInstalledExtensionsSnapshot } from './extension-display.js';
 import { displayBookmarks } from './bookmark-display.js';
-import { exportAllData, importAllData, SCHEMA_VERSION, mergeExtensionLists, mergeBookmarkTrees, exportExtensionsAsBookmarks, exportBookmarksAsHtml } from './data-handler.js';
+import { exportAllData, importAllData, SCHEMA_VERSION, mergeExtensionLists, exportExtensionsAsBookmarks, exportBookmarksAsHtml } from './data-handler.js';
+import { mergeBookmarkTrees, getBookmarkMergeBase, saveBookmarkMergeBase } from './bookmark-merge.js';
+import { showDialog } from './dialog.js';
+import { loadLinkCheckResults } from './link-checker.js';
 import { switchTab, setupTabButtons } from './tab-switcher.js';
-import { initializeBackupFeature, performPantryRestore } from './backup-feature.js';
+import { migrateStoredData } from './schema-migrations.js';
+import { toExtensionRecord } from './extension-metadata.js';
+import { initializeBackupFeature, performBackupRestore } from './backup-feature.js';
+import { parseSearchQuery, matchesDateRange, scoreQuery, isFuzzyTerm, getHighlightWords, EXTENSION_QUERY_FIELDS, BOOKMARK_QUERY_FIELDS } from './search-query.js';
+import { fuzzyMatch } from './fuzzy-match.js';
+import { applyBookmarkEdit, saveEditedBookmarkTree } from './bookmark-editor.js';
 
 // --- Global storage for full data (needed for filtering) ---
 export let fullExtensionList = [];
 export let fullBookmarkTree = [];
+// Where the displayed bookmarks came from, for the browser: search field; liveUrls is built on first use
+let bookmarkSources = { currentBrowser: 'Unknown', storedBrowser: 'Unknown', liveTree: [], liveUrls: null };
 
 /**
  * Loads data from chrome.storage.local.importedDataList and updates the UI.
  * If no data is found, it loads the currently installed extensions and bookmarks.
  */
 export async function loadAndDisplayImportedData(extensionList, bookmarksTreeContainer, switchTabFunc, browserName, shouldSaveMergedData = false) {
+  // Bring data saved by an older version up to the current format before using it
+  await migrateStoredData();
+
   const result = await new Promise((resolve, reject) => {
     chrome.storage.local.get('importedDataList', (data) => {
       if (chrome.runtime.lastError) {
@@ -73,20 +86,20 @@ export async function loadAndDisplayImportedData(extensionList, bookmarksTreeCon
   // If we have imported data, merge it with live data
   if (importedData) {
     if (importedData.extensions && Array.isArray(importedData.extensions)) {
-      const simplifiedLiveExtensions = liveExtensions.map(ext => ({
-        id: ext.id,
-        name: ext.name,
-        homepageUrl: ext.homepageUrl,
-        updateUrl: ext.updateUrl
-      }));
+      // Icons are only captured for exports and backups; the stored ones are kept by the merge
+      const simplifiedLiveExtensions = liveExtensions.map(ext => toExtensionRecord(ext));
       extensionsToDisplay = mergeExtensionLists(importedData.extensions, simplifiedLiveExtensions);
     }
+    // Without a merge base (first run, or after an import/restore) this merge becomes the new sync point
+    const mergeBase = await getBookmarkMergeBase();
     if (importedData.bookmarks && Array.isArray(importedData.bookmarks)) {
-      bookmarksToDisplay = mergeBookmarkTrees(importedData.bookmarks, liveBookmarks);
+      const { bookmarks, conflicts } = mergeBookmarkTrees(mergeBase || [], importedData.bookmarks, liveBookmarks);
+      bookmarksToDisplay = bookmarks;
+      displayMergeConflicts(conflicts);
     }
-    if (shouldSaveMergedData) {
+    if (shouldSaveMergedData || !mergeBase) {
       const mergedData = {
-        schemaVersion: importedData.schemaVersion || SCHEMA_VERSION,
+        schemaVersion: SCHEMA_VERSION,
         exportedTimestamp: new Date().toISOString(),
         exportedFromBrowser: browserName,
         extensions: extensionsToDisplay,
@@ -99,12 +112,19 @@ export async function loadAndDisplayImportedData(extensionList, bookmarksTreeCon
           console.log("Merged data saved to storage");
         }
       });
+      saveBookmarkMergeBase(liveBookmarks).catch(() => {});
     }
   }
 
   // Store the full lists for filtering
   fullExtensionList = [...extensionsToDisplay];
   fullBookmarkTree = [...bookmarksToDisplay];
+  bookmarkSources = {
+    currentBrowser: browserName,
+    storedBrowser: (importedData && importedData.exportedFromBrowser) || browserName,
+    liveTree: liveBookmarks,
+    liveUrls: null
+  };
 
   // Display extensions
   if (extensionsToDisplay && extensionsToDisplay.length > 0) {
@@ -120,14 +140,70 @@ export async function loadAndDisplayImportedData(extensionList, bookmarksTreeCon
     extensionList.innerHTML = '<li class="empty-text">No extensions found.</li>';
   }
 
-  // Display bookmarks
+  // Display bookmarks (with badges from the last link check)
   if (bookmarksToDisplay && bookmarksToDisplay.length > 0) {
+    await loadLinkCheckResults();
     displayBookmarks(bookmarksTreeContainer, bookmarksToDisplay);
   } else {
     bookmarksTreeContainer.innerHTML = '<p class="empty-text">No bookmarks found.</p>';
   }
 }
 
+/**
+ * Drops extensions removed from the stored list from the full list used for searching and bulk actions.
+ * @param {Array<string>} ids - The extension IDs.
+ */
+export function forgetExtensions(ids) {
+  const forgotten = new Set(ids);
+  fullExtensionList = fullExtensionList.filter(ext => !forgotten.has(ext.id));
+}
+
+/**
+ * Applies an edit made in the bookmark tree (see bookmark-editor.js) to the full tree used for searching,
+ * and stores the edited tree as the stored copy.
+ * @param {object} edit - The edit, as passed to the onBookmarkTreeEdited listeners.
+ * @returns {Promise<void>} Resolves when the stored copy is saved.
+ */
+export function syncBookmarkEdit(edit) {
+  applyBookmarkEdit(fullBookmarkTree, edit);
+  applyBookmarkEdit(bookmarkSources.liveTree, edit);
+  bookmarkSources.liveUrls = null;
+  return saveEditedBookmarkTree(fullBookmarkTree);
+}
+
+/**
+ * Shows a notice above the bookmark tree when the last merge reported conflicts,
+ * with a button that lists them.
+ * @param {Array<{title: string, path: string, message: string}>} conflicts - Conflicts from mergeBookmarkTrees.
+ */
+function displayMergeConflicts(conflicts) {
+  const notice = document.getElementById('bookmark-merge-conflicts');
+  if (!notice) return;
+  notice.innerHTML = '';
+  notice.classList.toggle('hidden', conflicts.length === 0);
+  if (conflicts.length === 0) return;
+
+  const text = document.createElement('span');
+  text.textContent = `${conflicts.length} bookmark merge conflict(s) between the stored copy and the browser.`;
+  const reviewButton = document.createElement('button');
+  reviewButton.classList.add('button', 'button-link');
+  reviewButton.textContent = 'Review';
+  reviewButton.addEventListener('click', () => {
+    showDialog({
+      title: 'Bookmark merge conflicts',
+      message: 'These bookmarks were changed differently in the stored copy and in the browser. The kept version is shown with each entry.',
+      sections: [{
+        heading: 'Conflicts',
+        items: conflicts.map(conflict => `${conflict.path ? `${conflict.path} / ` : ''}${conflict.title}: ${conflict.message}`),
+        className: 'report-dialog-errors'
+      }],
+      confirmLabel: 'Close',
+      cancelLabel: null
+    });
+  });
+  notice.append(text, reviewButton);
+}
+
 /**
  * Browser detection logic
  */
@@ -243,69 +319,272 @@ export function getBrowserInfo() {
   };
 }
 
+// Incremented on every extension search, so an older search finishing late does not overwrite a newer one
+let extensionFilterRun = 0;
+
+/**
+ * Checks whether an extension matches one query term (see EXTENSION_QUERY_FIELDS), ignoring negation.
+ * @param {object} term - The parsed term.
+ * @param {object} ext - The extension entry.
+ * @param {Map<string, object>} installed - The installed extensions keyed by id.
+ * @returns {boolean}
+ */
+function extensionMatchesTerm(term, ext, installed) {
+  switch (term.field) {
+    case 'installed': return installed.has(ext.id) === term.value;
+    case 'enabled': return (installed.has(ext.id) && installed.get(ext.id).enabled) === term.value;
+    case 'store': return (getSourceStore(ext) || 'other') === term.value;
+    default: return (ext.name || '').toLowerCase().includes(term.value); // name:, phrases and excluded words
+  }
+}
+
 /**
- * Filtering logic for extensions
+ * Filtering logic for extensions. Accepts the query syntax of search-query.js; plain words match the name fuzzily.
+ * With plain words, the best matches come first and the matched characters are highlighted.
+ * @returns {string|null} The syntax error of the query (the list is left as it is), or null.
  */
 export function filterExtensions(searchTerm, extensionList, currentBrowserName) {
-  const lowerCaseSearchTerm = searchTerm.toLowerCase().trim();
-  if (!lowerCaseSearchTerm) {
+  const { terms, error } = parseSearchQuery(searchTerm, EXTENSION_QUERY_FIELDS);
+  if (error) return error;
+
+  const run = ++extensionFilterRun;
+  if (terms.length === 0) {
     displayExtensions({
       extensionList,
       extensionsToDisplay: fullExtensionList,
       currentContextBrowserName: currentBrowserName
     });
-    return;
+    return null;
   }
-  const filteredExtensions = fullExtensionList.filter(ext =>
-    ext.name.toLowerCase().includes(lowerCaseSearchTerm)
-  );
-  displayExtensions({
-    extensionList,
-    extensionsToDisplay: filteredExtensions,
-    currentContextBrowserName: currentBrowserName
+  getInstalledExtensionsSnapshot().then(installed => {
+    if (run !== extensionFilterRun) return;
+    const scored = [];
+    for (const ext of fullExtensionList) {
+      const score = scoreQuery(
+        terms,
+        term => extensionMatchesTerm(term, ext, installed),
+        word => fuzzyMatch(word, ext.name || '')?.score ?? null
+      );
+      if (score !== null) scored.push({ ext, score });
+    }
+    const ranked = terms.some(isFuzzyTerm);
+    if (ranked) scored.sort((a, b) => b.score - a.score);
+    displayExtensions({
+      extensionList,
+      extensionsToDisplay: scored.map(entry => entry.ext),
+      currentContextBrowserName: currentBrowserName,
+      ranked,
+      highlightWords: getHighlightWords(terms)
+    });
   });
+  return null;
 }
 
+// Nodes visited between checks of the time budget while filtering bookmarks
+const FILTER_BATCH_SIZE = 200;
+// Time a filter slice may take before the popup gets a chance to handle input and paint
+const FILTER_SLICE_MS = 8;
+// Incremented on every bookmark search, so a newer search cancels the one still running
+let bookmarkFilterRun = 0;
+// Query fields a folder can match by itself; with other fields, folders are only shown around matching bookmarks
+const FOLDER_QUERY_FIELDS = new Set([null, 'title', 'folder', 'added']);
+// A word found in the title counts this many times more than one found in the URL
+const TITLE_WEIGHT = 2;
+// Ranking bonus of a bookmark used or added just now, halving every RECENCY_HALF_LIFE_DAYS
+const RECENCY_BONUS = 30;
+const RECENCY_HALF_LIFE_DAYS = 90;
+
 /**
- * Recursively filters bookmark nodes based on search term (title or URL).
+ * Walks the bookmark tree depth-first and copies matching bookmarks and folders into target,
+ * together with copies of their ancestor folders. A folder copy is attached to its parent only once something
+ * inside it matches, so target is a valid, ordered tree at every step. Yields every FILTER_BATCH_SIZE nodes.
+ * Every match is also recorded in progress.matches, for the flat results view.
+ * @param {Array<object>} nodes - The nodes to walk.
+ * @param {Function} matchNode - Called with (node, folderPath); returns the node's score if it matches by itself, otherwise null.
+ * @param {Array<object>} target - Receives the matching nodes of this level.
+ * @param {Function} attachTarget - Attaches the folder copy owning target to its parent.
+ * @param {{visited: number, matches: Array<{node: object, score: number, folderPath: Array<string>}>}} progress - Shared by the whole walk.
+ * @param {Array<string>} [folderPath=[]] - Titles of the folders containing nodes.
  */
-export function filterBookmarkNodes(nodes, lowerCaseSearchTerm) {
-  return nodes.map(node => {
+function* collectMatchingBookmarks(nodes, matchNode, target, attachTarget, progress, folderPath = []) {
+  for (const node of nodes) {
+    if (++progress.visited % FILTER_BATCH_SIZE === 0) yield;
+    const score = matchNode(node, folderPath);
+    if (score !== null) progress.matches.push({ node, score, folderPath });
     if (node.url) {
-      const titleMatch = node.title.toLowerCase().includes(lowerCaseSearchTerm);
-      const urlMatch = node.url.toLowerCase().includes(lowerCaseSearchTerm);
-      return (titleMatch || urlMatch) ? node : null;
-    }
-    if (node.children) {
-      const filteredChildren = filterBookmarkNodes(node.children, lowerCaseSearchTerm);
-      if (node.title.toLowerCase().includes(lowerCaseSearchTerm) || filteredChildren.some(child => child !== null)) {
-        return { ...node, children: filteredChildren.filter(child => child !== null) };
+      if (score !== null) {
+        attachTarget();
+        target.push(node);
       }
+    } else if (node.children) {
+      const copy = { ...node, children: [] };
+      let attached = false;
+      const attach = () => {
+        if (attached) return;
+        attached = true;
+        attachTarget();
+        target.push(copy);
+      };
+      if (score !== null) attach();
+      const childPath = [...folderPath, node.title || ''];
+      yield* collectMatchingBookmarks(node.children, matchNode, copy.children, attach, progress, childPath);
     }
-    return null;
-  }).filter(node => node !== null);
+  }
 }
 
 /**
- * Filtering logic for bookmarks
+ * Returns the browser a bookmark belongs to: the current browser if its URL is in the live bookmark tree,
+ * otherwise the browser the stored copy was last saved from.
+ * @param {object} node - A bookmark.
+ * @returns {string}
  */
-export function filterBookmarks(searchTerm, bookmarksTreeContainer) {
-  const lowerCaseSearchTerm = searchTerm.toLowerCase().trim();
-  if (!lowerCaseSearchTerm) {
+function getBookmarkBrowser(node) {
+  if (!bookmarkSources.liveUrls) {
+    bookmarkSources.liveUrls = new Set();
+    const visit = nodes => (nodes || []).forEach(item => item.url ? bookmarkSources.liveUrls.add(item.url) : visit(item.children));
+    visit(bookmarkSources.liveTree);
+  }
+  return bookmarkSources.liveUrls.has(node.url) ? bookmarkSources.currentBrowser : bookmarkSources.storedBrowser;
+}
+
+/**
+ * Returns the host name of a URL without a leading "www.", or '' if it cannot be parsed.
+ * @param {string} url - The URL.
+ * @returns {string}
+ */
+function getSiteOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Checks whether a bookmark or folder matches one query term (see BOOKMARK_QUERY_FIELDS), ignoring negation.
+ * @param {object} term - The parsed term.
+ * @param {object} node - The bookmark or folder.
+ * @param {Array<string>} folderPath - Titles of the folders containing the node.
+ * @returns {boolean}
+ */
+function bookmarkMatchesTerm(term, node, folderPath) {
+  const title = (node.title || '').toLowerCase();
+  const url = (node.url || '').toLowerCase();
+  switch (term.field) {
+    case 'title': return title.includes(term.value);
+    case 'url': return url.includes(term.value);
+    case 'site': {
+      const site = getSiteOf(node.url);
+      const wanted = term.value.replace(/^www\./, '');
+      return site === wanted || site.endsWith(`.${wanted}`);
+    }
+    case 'folder': return folderPath.some(folderTitle => folderTitle.toLowerCase().includes(term.value));
+    case 'added': return matchesDateRange(term.value, node.dateAdded);
+    case 'browser': return getBookmarkBrowser(node).toLowerCase().includes(term.value);
+    default: return title.includes(term.value) || url.includes(term.value);
+  }
+}
+
+/**
+ * Scores a bookmark or folder for a fuzzy word: the better of its title (weighted higher) and URL matches.
+ * @param {string} word - The lower-case word.
+ * @param {object} node - The bookmark or folder.
+ * @returns {number|null} The score, or null if neither matches.
+ */
+function scoreBookmarkWord(word, node) {
+  const titleMatch = fuzzyMatch(word, node.title || '');
+  const urlMatch = node.url ? fuzzyMatch(word, node.url) : null;
+  if (!titleMatch && !urlMatch) return null;
+  return Math.max(titleMatch ? titleMatch.score * TITLE_WEIGHT : 0, urlMatch ? urlMatch.score : 0);
+}
+
+/**
+ * Returns the ranking bonus for recently used or added bookmarks, halving every RECENCY_HALF_LIFE_DAYS.
+ * @param {object} node - The bookmark or folder.
+ * @returns {number}
+ */
+function getRecencyBonus(node) {
+  const lastTouched = Math.max(node.dateLastUsed || 0, node.dateAdded || 0);
+  if (!lastTouched) return 0;
+  const ageDays = Math.max(0, (Date.now() - lastTouched) / (24 * 60 * 60 * 1000));
+  return RECENCY_BONUS * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Filtering logic for bookmarks. Accepts the query syntax of search-query.js; plain words match titles and URLs fuzzily.
+ * Large trees are filtered in short time slices, showing the results found so far after each slice;
+ * a new search cancels the previous one.
+ * @param {string} searchTerm - The query.
+ * @param {HTMLElement} bookmarksTreeContainer - Where to show the results.
+ * @param {'tree'|'flat'} [resultsMode='tree'] - 'tree' keeps matches in their folders, in folder order;
+ *   'flat' lists them by rank (match quality, title over URL, recency) with their folder path.
+ * @returns {string|null} The syntax error of the query (the tree is left as it is), or null.
+ */
+export function filterBookmarks(searchTerm, bookmarksTreeContainer, resultsMode = 'tree') {
+  const { terms, error } = parseSearchQuery(searchTerm, BOOKMARK_QUERY_FIELDS);
+  if (error) return error;
+
+  const run = ++bookmarkFilterRun;
+  if (terms.length === 0) {
     displayBookmarks(bookmarksTreeContainer, fullBookmarkTree);
-    return;
+    return null;
   }
-  const filteredTree = filterBookmarkNodes(fullBookmarkTree, lowerCaseSearchTerm);
-  displayBookmarks(bookmarksTreeContainer, filteredTree);
+
+  const folderCanMatch = terms.every(term => FOLDER_QUERY_FIELDS.has(term.field));
+  const matchNode = (node, folderPath) => {
+    if (!node.url && !folderCanMatch) return null;
+    const score = scoreQuery(
+      terms,
+      term => bookmarkMatchesTerm(term, node, folderPath),
+      word => scoreBookmarkWord(word, node)
+    );
+    return score === null ? null : score + getRecencyBonus(node);
+  };
+  const filteredTree = [];
+  const progress = { visited: 0, matches: [] };
+  const walk = collectMatchingBookmarks(fullBookmarkTree, matchNode, filteredTree, () => {}, progress);
+  const highlightWords = getHighlightWords(terms);
+  let shownMatches = -1;
+
+  const showResults = () => {
+    if (resultsMode !== 'flat') {
+      displayBookmarks(bookmarksTreeContainer, filteredTree, { highlightWords });
+      return;
+    }
+    // Stable sort, so equal scores keep the tree order
+    const ranked = [...progress.matches].sort((a, b) => b.score - a.score);
+    const folderPaths = new Map(ranked.map(match => [match.node, match.folderPath.filter(Boolean).join(' › ')]));
+    displayBookmarks(
+      bookmarksTreeContainer,
+      ranked.length > 0 ? [{ title: '', children: ranked.map(match => match.node) }] : [],
+      { highlightWords, folderPaths }
+    );
+  };
+
+  const runSlice = () => {
+    if (run !== bookmarkFilterRun) return;
+    const deadline = performance.now() + FILTER_SLICE_MS;
+    let done = false;
+    while (!done && performance.now() < deadline) {
+      done = walk.next().done;
+    }
+    if (done || progress.matches.length !== shownMatches) {
+      shownMatches = progress.matches.length;
+      showResults();
+    }
+    if (!done) setTimeout(runSlice, 0);
+  };
+  runSlice();
+  return null;
 }
 
 /**
- * Pantry restore handler
+ * Backup restore handler. Restores the given snapshot, or the newest one if none is given.
  */
-export async function handlePantryRestore(restorePantryButton, extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName) {
-  if (!restorePantryButton) return;
+export async function handleBackupRestore(restoreButton, extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName, snapshotName) {
+  if (!restoreButton) return;
   const successCallback = () => {
     loadAndDisplayImportedData(extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName, true);
   };
-  await performPantryRestore(restorePantryButton, successCallback);
+  await performBackupRestore(restoreButton, successCallback, snapshotName);
 }
\ No newline at end of file
@@ -0,0 +1,352 @@
+// reinstall-wizard.js
+// Guided reinstall of the extensions in the stored list that are not installed, e.g. after a restore on a fresh machine.
+// Opens store pages one at a time or in batches and ticks extensions off as chrome.management.onInstalled reports them.
+// Progress is kept in chrome.storage.local, since the popup closes while the user is on a store page; the background also ticks off installs.
+// Reinstall Wizard Component
+
+import { getStoreUrl } from './extension-display.js';
+
+export const REINSTALL_WIZARD_KEY = 'reinstallWizard';
+
+export const REINSTALL_STATUS = {
+  PENDING: 'pending',
+  OPENED: 'opened',
+  INSTALLED: 'installed',
+  SKIPPED: 'skipped'
+};
+
+const DEFAULT_BATCH_SIZE = 5;
+
+// Installs can arrive in quick succession; writes are chained so none overwrites another
+let writeQueue = Promise.resolve();
+
+/**
+ * Reads the wizard state.
+ * @returns {Promise<{startedAt: string, droppedIds: Array<string>, items: Array<{id: string, name: string, updateUrl?: string, homepageUrl?: string, status: string}>}|null>}
+ */
+export function getReinstallWizard() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(REINSTALL_WIZARD_KEY, (result) => {
+      if (chrome.runtime.lastError) {
+        console.error("Error loading the reinstall wizard:", chrome.runtime.lastError);
+        return resolve(null);
+      }
+      resolve(result[REINSTALL_WIZARD_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Runs a read-modify-write of the wizard state after all earlier ones.
+ * @param {Function} update - Receives the state (or null) and returns the state to save (null clears it).
+ * @returns {Promise<object|null>} The saved state.
+ */
+function updateReinstallWizard(update) {
+  const run = writeQueue.then(async () => {
+    const next = update(await getReinstallWizard());
+    await new Promise((resolve, reject) => {
+      const done = () => chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve();
+      if (next) {
+        chrome.storage.local.set({ [REINSTALL_WIZARD_KEY]: next }, done);
+      } else {
+        chrome.storage.local.remove(REINSTALL_WIZARD_KEY, done);
+      }
+    });
+    return next;
+  });
+  writeQueue = run.catch(error => console.error("Failed to save the reinstall wizard:", error));
+  return run;
+}
+
+/**
+ * Reads the ids of the installed extensions.
+ * @returns {Promise<Set<string>>}
+ */
+function getInstalledExtensionIds() {
+  return new Promise((resolve, reject) => {
+    chrome.management.getAll(items => {
+      if (chrome.runtime.lastError) return reject(chrome.runtime.lastError);
+      resolve(new Set(items.map(item => item.id)));
+    });
+  });
+}
+
+/**
+ * Brings the wizard in line with the stored extension list: missing extensions not yet in the wizard are added,
+ * and extensions that are installed by now are ticked off. Progress on existing items is kept and dropped ones stay out.
+ * @param {Array<object>} storedExtensions - The stored extension list.
+ * @returns {Promise<object>} The wizard state.
+ */
+export async function syncReinstallWizard(storedExtensions) {
+  const installedIds = await getInstalledExtensionIds();
+  return updateReinstallWizard((state) => {
+    const items = state ? state.items : [];
+    const droppedIds = state ? state.droppedIds || [] : [];
+    const known = new Set([...items.map(item => item.id), ...droppedIds]);
+    items.forEach(item => {
+      if (installedIds.has(item.id)) item.status = REINSTALL_STATUS.INSTALLED;
+    });
+    storedExtensions
+      .filter(ext => ext && ext.id && ext.id !== chrome.runtime.id && !installedIds.has(ext.id) && !known.has(ext.id))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(ext => items.push({
+        id: ext.id,
+        name: ext.name,
+        updateUrl: ext.updateUrl,
+        homepageUrl: ext.homepageUrl,
+        status: REINSTALL_STATUS.PENDING
+      }));
+    return { startedAt: state ? state.startedAt : new Date().toISOString(), droppedIds, items };
+  });
+}
+
+/**
+ * Ticks an extension off when it is installed. Used by the background worker and the open popup.
+ * @param {object} info - The ExtensionInfo from chrome.management.onInstalled.
+ * @returns {Promise<void>}
+ */
+export async function markReinstalledExtension(info) {
+  const state = await getReinstallWizard();
+  if (!state || !state.items.some(item => item.id === info.id && item.status !== REINSTALL_STATUS.INSTALLED)) return;
+  await updateReinstallWizard((current) => {
+    if (!current) return current;
+    current.items.forEach(item => {
+      if (item.id === info.id) item.status = REINSTALL_STATUS.INSTALLED;
+    });
+    return current;
+  });
+}
+
+/**
+ * Sets the status of wizard items.
+ * @param {Array<string>} ids - The extension IDs.
+ * @param {string} status - A REINSTALL_STATUS value.
+ * @returns {Promise<object|null>} The new state.
+ */
+export function setReinstallStatus(ids, status) {
+  const targets = new Set(ids);
+  return updateReinstallWizard((state) => {
+    if (!state) return state;
+    state.items.forEach(item => {
+      if (targets.has(item.id) && item.status !== REINSTALL_STATUS.INSTALLED) item.status = status;
+    });
+    return state;
+  });
+}
+
+/**
+ * Drops an extension from the wizard; it stays in the stored extension list.
+ * @param {string} id - The extension ID.
+ * @returns {Promise<object|null>} The new state.
+ */
+export function dropReinstallItem(id) {
+  return updateReinstallWizard((state) => {
+    if (!state) return state;
+    state.items = state.items.filter(item => item.id !== id);
+    state.droppedIds = [...(state.droppedIds || []), id];
+    return state;
+  });
+}
+
+/**
+ * Discards the wizard progress.
+ * @returns {Promise<void>}
+ */
+export async function resetReinstallWizard() {
+  await updateReinstallWizard(() => null);
+}
+
+/**
+ * Opens the store page of each extension in a background tab and marks it as opened.
+ * @param {Array<object>} items - Wizard items.
+ * @param {string} browserName - The current browser, for store URLs.
+ * @returns {Promise<object|null>} The new state.
+ */
+async function openStorePages(items, browserName) {
+  for (const item of items) {
+    await new Promise((resolve) => {
+      // Background tabs keep the popup open for the next batch
+      chrome.tabs.create({ url: getStoreUrl(item, browserName), active: false }, () => {
+        if (chrome.runtime.lastError) {
+          console.error(`Could not open the store page for ${item.name}:`, chrome.runtime.lastError);
+        }
+        resolve();
+      });
+    });
+  }
+  return setReinstallStatus(items.map(item => item.id), REINSTALL_STATUS.OPENED);
+}
+
+/**
+ * Renders the wizard: a progress line and one row per extension with its status and actions.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {object|null} state - The wizard state.
+ * @param {object} handlers - open(item), skip(item), unskip(item), drop(item).
+ */
+function displayReinstallWizard(container, state, handlers) {
+  container.innerHTML = '';
+  const items = state ? state.items : [];
+  if (items.length === 0) {
+    container.innerHTML = '<p class="empty-text">Every extension in the list is installed.</p>';
+    return;
+  }
+
+  const count = (status) => items.filter(item => item.status === status).length;
+  const summary = document.createElement('p');
+  summary.classList.add('reinstall-summary');
+  summary.textContent = `${count(REINSTALL_STATUS.INSTALLED)} of ${items.length} installed` +
+    (count(REINSTALL_STATUS.SKIPPED) ? `, ${count(REINSTALL_STATUS.SKIPPED)} skipped` : '');
+  container.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.classList.add('reinstall-list');
+  items.forEach(item => {
+    const row = document.createElement('li');
+    row.classList.add('reinstall-item', `reinstall-${item.status}`);
+
+    const name = document.createElement('span');
+    name.classList.add('reinstall-name');
+    name.textContent = item.name;
+    name.title = item.id;
+    const status = document.createElement('span');
+    status.classList.add('reinstall-status');
+    status.textContent = {
+      [REINSTALL_STATUS.PENDING]: 'Not installed',
+      [REINSTALL_STATUS.OPENED]: 'Store page opened',
+      [REINSTALL_STATUS.INSTALLED]: 'Installed',
+      [REINSTALL_STATUS.SKIPPED]: 'Skipped'
+    }[item.status];
+    row.append(name, status);
+
+    const addAction = (label, title, handler) => {
+      const button = document.createElement('button');
+      button.classList.add('button', 'button-link');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', () => handler(item));
+      row.appendChild(button);
+    };
+    if (item.status !== REINSTALL_STATUS.INSTALLED) {
+      addAction('Open', `Open the store page for ${item.name}`, handlers.open);
+      if (item.status === REINSTALL_STATUS.SKIPPED) {
+        addAction('Unskip', 'Include this extension again', handlers.unskip);
+      } else {
+        addAction('Skip', 'Leave this extension out of "Open next"', handlers.skip);
+      }
+      addAction('Drop', 'Remove this extension from the wizard', handlers.drop);
+    }
+    list.appendChild(row);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Wires the reinstall wizard on the Extensions tab.
+ * @param {object} elements
+ * @param {HTMLButtonElement} elements.openButton - Opens the wizard view.
+ * @param {HTMLElement} elements.view - The wizard view container (hidden by default).
+ * @param {HTMLElement} elements.results - The element the wizard is rendered into.
+ * @param {HTMLButtonElement} elements.nextButton - Opens the next pending store page.
+ * @param {HTMLButtonElement} elements.batchButton - Opens the next batch of pending store pages.
+ * @param {HTMLSelectElement} elements.batchSizeSelect - The batch size.
+ * @param {HTMLButtonElement} elements.resetButton - Discards the progress and rebuilds the list.
+ * @param {HTMLButtonElement} elements.closeButton - Closes the view.
+ * @param {Array<HTMLElement>} elements.hiddenWhileOpen - Elements hidden while the view is open.
+ * @param {Function} getStoredExtensions - Returns the stored extension list.
+ * @param {Function} getBrowserName - Returns the current browser name.
+ * @param {Function} onClose - Called when the view is closed after extensions were installed, to refresh the list.
+ */
+export function initializeReinstallWizard(
+  { openButton, view, results, nextButton, batchButton, batchSizeSelect, resetButton, closeButton, hiddenWhileOpen },
+  getStoredExtensions,
+  getBrowserName,
+  onClose
+) {
+  let state = null;
+  let hiddenByView = [];
+  let installedAny = false;
+
+  const pendingItems = () => (state ? state.items : []).filter(item =>
+    item.status === REINSTALL_STATUS.PENDING || item.status === REINSTALL_STATUS.OPENED
+  );
+  const batchSize = () => Number(batchSizeSelect.value) || DEFAULT_BATCH_SIZE;
+
+  const render = (nextState) => {
+    state = nextState;
+    displayReinstallWizard(results, state, handlers);
+    const remaining = pendingItems().length;
+    nextButton.disabled = remaining === 0;
+    batchButton.disabled = remaining === 0;
+  };
+
+  // "Open next" goes to items whose page was not opened yet, then round again
+  const nextItems = (size) => {
+    const pending = pendingItems();
+    const notOpened = pending.filter(item => item.status === REINSTALL_STATUS.PENDING);
+    return (notOpened.length ? notOpened : pending).slice(0, size);
+  };
+
+  const handlers = {
+    open: async (item) => render(await openStorePages([item], getBrowserName())),
+    skip: async (item) => render(await setReinstallStatus([item.id], REINSTALL_STATUS.SKIPPED)),
+    unskip: async (item) => render(await setReinstallStatus([item.id], REINSTALL_STATUS.PENDING)),
+    drop: async (item) => render(await dropReinstallItem(item.id))
+  };
+
+  const load = async () => {
+    results.innerHTML = '<p class="loading-text">Looking for missing extensions...</p>';
+    try {
+      render(await syncReinstallWizard(getStoredExtensions()));
+    } catch (error) {
+      console.error("Failed to load the reinstall wizard:", error);
+      results.innerHTML = '';
+      const errorText = document.createElement('p');
+      errorText.classList.add('error-text');
+      errorText.textContent = `Could not load missing extensions: ${error.message}`;
+      results.appendChild(errorText);
+    }
+  };
+
+  openButton.addEventListener('click', () => {
+    // Only what was visible is restored on close, so views opened over each other unwind in order
+    hiddenByView = hiddenWhileOpen.filter(element => element !== view && !element.classList.contains('hidden'));
+    view.classList.remove('hidden');
+    hiddenByView.forEach(element => element.classList.add('hidden'));
+    load();
+  });
+
+  nextButton.addEventListener('click', async () => {
+    const items = nextItems(1);
+    if (items.length) render(await openStorePages(items, getBrowserName()));
+  });
+
+  batchButton.addEventListener('click', async () => {
+    const items = nextItems(batchSize());
+    if (items.length) render(await openStorePages(items, getBrowserName()));
+  });
+
+  resetButton.addEventListener('click', async () => {
+    if (!confirm('Start over? Skipped and dropped extensions come back into the list.')) return;
+    await resetReinstallWizard();
+    await load();
+  });
+
+  // Installs made while the popup is open; the background records those made while it is closed
+  chrome.management.onInstalled.addListener(async (info) => {
+    await markReinstalledExtension(info);
+    installedAny = true;
+    if (!view.classList.contains('hidden')) {
+      render(await getReinstallWizard());
+    }
+  });
+
+  closeButton.addEventListener('click', () => {
+    view.classList.add('hidden');
+    hiddenByView.forEach(element => element.classList.remove('hidden'));
+    hiddenByView = [];
+    if (installedAny && typeof onClose === 'function') {
+      installedAny = false;
+      onClose();
+    }
+  });
+}
@@ -0,0 +1,113 @@
+// schema-migrations.js
+// Owns the backup format version and the step-by-step migrations that upgrade older payloads to it.
+// Every import, restore and the importedDataList already in storage goes through migrateBackupData before it is used.
+// Payloads from a newer, unknown version are refused so they are never merged into (and corrupt) existing data.
+// Schema Migrations Component
+
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each step receives a payload of version N
+ * and returns one of version N + 1; migrateBackupData updates schemaVersion after every step.
+ * To change the format, bump SCHEMA_VERSION and add the step from the previous version here.
+ */
+const MIGRATIONS = {
+  // Files written before schemaVersion existed: make sure the top-level fields are present.
+  0: data => ({
+    ...data,
+    exportedTimestamp: data.exportedTimestamp || new Date().toISOString(),
+    exportedFromBrowser: data.exportedFromBrowser || 'Unknown',
+    extensions: Array.isArray(data.extensions) ? data.extensions : [],
+    bookmarks: Array.isArray(data.bookmarks) ? data.bookmarks : []
+  }),
+  // Version 2 adds optional metadata to extension entries: version, enabled, description, installType,
+  // optionsUrl and iconDataUrl. Older entries simply lack it, so only the version number changes.
+  1: data => data
+};
+
+/**
+ * Returns the schema version of a payload; payloads without one predate versioning and count as 0.
+ * @param {object} data - The backup payload.
+ * @returns {number}
+ * @throws {Error} If the version is not a non-negative integer.
+ */
+export function getSchemaVersion(data) {
+  if (data.schemaVersion === undefined || data.schemaVersion === null) {
+    return 0;
+  }
+  const version = Number(data.schemaVersion);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unrecognized schema version "${data.schemaVersion}".`);
+  }
+  return version;
+}
+
+/**
+ * Upgrades a backup payload to the current SCHEMA_VERSION, one version at a time.
+ * The input is not modified.
+ * @param {object} data - The backup payload (import file, restored backup or stored data).
+ * @returns {object} The payload in the current format.
+ * @throws {Error} If the payload is not an object, is from a newer version, or a migration step is missing.
+ */
+export function migrateBackupData(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error("Invalid backup data: Not an object.");
+  }
+
+  let version = getSchemaVersion(data);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `This backup uses schema version ${version}, but this version of Extmark Manager only supports up to version ${SCHEMA_VERSION}. ` +
+      `Please update the extension before importing it.`
+    );
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data));
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (typeof migrate !== 'function') {
+      throw new Error(`No migration available from schema version ${version} to ${version + 1}.`);
+    }
+    migrated = migrate(migrated);
+    version += 1;
+    migrated.schemaVersion = version;
+    console.log(`Migrated backup data to schema version ${version}.`);
+  }
+  return migrated;
+}
+
+/**
+ * Migrates the importedDataList in storage to the current schema version, if needed.
+ * Data from a newer version (e.g. after downgrading the extension) is left untouched.
+ * @returns {Promise<void>}
+ */
+export async function migrateStoredData() {
+  const { importedDataList } = await new Promise((resolve) =>
+    chrome.storage.local.get(['importedDataList'], resolve)
+  );
+  if (!importedDataList) {
+    return;
+  }
+
+  let migrated;
+  try {
+    if (getSchemaVersion(importedDataList) === SCHEMA_VERSION) {
+      return;
+    }
+    migrated = migrateBackupData(importedDataList);
+  } catch (error) {
+    console.error("Could not migrate stored data:", error);
+    return;
+  }
+
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ importedDataList: migrated }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error saving migrated data:", chrome.runtime.lastError);
+      } else {
+        console.log(`Stored data migrated to schema version ${SCHEMA_VERSION}.`);
+      }
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,177 @@
+// search-query.js
+// Parses the query syntax shared by the extension and bookmark search boxes: plain words, "quoted phrases",
+// field:value terms (field:"quoted value" for values with spaces) and negation with a leading '-'. Terms are ANDed.
+// Each search box passes the fields it understands; invalid values are reported as syntax errors. A prefix that is not
+// one of its fields (e.g. "localhost:3000" or "mailto:") is searched for as plain text.
+// Plain words are matched fuzzily and ranked (see fuzzy-match.js); everything else must match exactly.
+// Search Query Component
+
+export const EXTENSION_QUERY_FIELDS = {
+  name: { type: 'text' },
+  installed: { type: 'boolean' },
+  enabled: { type: 'boolean' },
+  store: { type: 'choice', choices: ['chrome', 'edge', 'other'] }
+};
+
+export const BOOKMARK_QUERY_FIELDS = {
+  title: { type: 'text' },
+  url: { type: 'text' },
+  site: { type: 'text' },
+  folder: { type: 'text' },
+  added: { type: 'date' },
+  browser: { type: 'text' }
+};
+
+const BOOLEAN_VALUES = { yes: true, true: true, no: false, false: false };
+const DATE_PATTERN = /^(>=|<=|>|<|=)?(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a field value to what the matchers compare against.
+ * @param {string} field - The field name.
+ * @param {object} spec - The field's entry in the fields map.
+ * @param {string} rawValue - The value as typed.
+ * @returns {*} The converted value.
+ * @throws {Error} If the value is not valid for the field.
+ */
+function convertFieldValue(field, spec, rawValue) {
+  const value = rawValue.toLowerCase();
+  if (spec.type === 'boolean') {
+    if (!(value in BOOLEAN_VALUES)) throw new Error(`${field}: expects yes or no, not "${rawValue}".`);
+    return BOOLEAN_VALUES[value];
+  }
+  if (spec.type === 'choice') {
+    if (!spec.choices.includes(value)) throw new Error(`${field}: expects one of ${spec.choices.join(', ')}, not "${rawValue}".`);
+    return value;
+  }
+  if (spec.type === 'date') {
+    const match = DATE_PATTERN.exec(rawValue);
+    const start = match ? new Date(Number(match[2]), Number(match[3]) - 1, Number(match[4])) : null;
+    if (!start || start.getMonth() !== Number(match[3]) - 1 || start.getDate() !== Number(match[4])) {
+      throw new Error(`${field}: expects a date like 2024-01-31, optionally after >, >=, < or <=, not "${rawValue}".`);
+    }
+    // Whole local days; the end is exclusive
+    return { operator: match[1] || '=', start: start.getTime(), end: start.getTime() + DAY_MS };
+  }
+  return value;
+}
+
+/**
+ * Reads a value at position i: a quoted string (closing quote required) or everything up to the next whitespace.
+ * @param {string} text - The query.
+ * @param {number} i - Where the value starts.
+ * @returns {{value: string, next: number, quoted: boolean}}
+ * @throws {Error} If a quote is not closed.
+ */
+function readValue(text, i) {
+  if (text[i] === '"') {
+    const close = text.indexOf('"', i + 1);
+    if (close === -1) throw new Error(`Missing closing quote for the phrase starting at position ${i + 1}.`);
+    return { value: text.slice(i + 1, close), next: close + 1, quoted: true };
+  }
+  let end = i;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  return { value: text.slice(i, end), next: end, quoted: false };
+}
+
+/**
+ * Parses a search query.
+ * @param {string} text - The query as typed.
+ * @param {object} fields - The fields the search box understands, e.g. EXTENSION_QUERY_FIELDS.
+ * @returns {{terms: Array<{field: string|null, value: *, negated: boolean, quoted: boolean}>, error: string|null}}
+ *   Terms with field null are plain words or phrases, lower-cased. On a syntax error, terms is empty.
+ */
+export function parseSearchQuery(text, fields) {
+  const terms = [];
+  let i = 0;
+  try {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+      const start = i;
+      const negated = text[i] === '-';
+      if (negated) {
+        i++;
+        if (i >= text.length || /\s/.test(text[i])) throw new Error(`Nothing to exclude after "-" at position ${start + 1}.`);
+      }
+
+      // field:value for the known fields, unless it is a URL scheme such as https://
+      const fieldMatch = /^([a-z]+):/i.exec(text.slice(i));
+      const field = fieldMatch && fieldMatch[1].toLowerCase();
+      if (fieldMatch && Object.prototype.hasOwnProperty.call(fields, field) && !text.startsWith('//', i + fieldMatch[0].length)) {
+        const spec = fields[field];
+        const { value, next } = readValue(text, i + fieldMatch[0].length);
+        if (!value.trim()) throw new Error(`${field}: needs a value.`);
+        terms.push({ field, value: convertFieldValue(field, spec, value.trim()), negated, quoted: false });
+        i = next;
+        continue;
+      }
+
+      const { value, next, quoted } = readValue(text, i);
+      if (quoted && !value.trim()) throw new Error(`Empty phrase at position ${start + 1}.`);
+      terms.push({ field: null, value: value.toLowerCase(), negated, quoted });
+      i = next;
+    }
+  } catch (error) {
+    return { terms: [], error: error.message };
+  }
+  return { terms, error: null };
+}
+
+/**
+ * Checks whether a timestamp satisfies a date term's value.
+ * @param {{operator: string, start: number, end: number}} range - The converted date value.
+ * @param {number} [timestamp] - Milliseconds since the epoch.
+ * @returns {boolean} False if there is no timestamp.
+ */
+export function matchesDateRange(range, timestamp) {
+  if (typeof timestamp !== 'number') return false;
+  switch (range.operator) {
+    case '>': return timestamp >= range.end;
+    case '>=': return timestamp >= range.start;
+    case '<': return timestamp < range.start;
+    case '<=': return timestamp < range.end;
+    default: return timestamp >= range.start && timestamp < range.end;
+  }
+}
+
+/**
+ * Checks whether a term is matched fuzzily: plain words are, while phrases, fields and excluded words match exactly.
+ * @param {object} term - A parsed term.
+ * @returns {boolean}
+ */
+export function isFuzzyTerm(term) {
+  return term.field === null && !term.quoted && !term.negated;
+}
+
+/**
+ * Returns the plain words and phrases of a query that are not excluded, for highlighting.
+ * @param {Array<object>} terms - The parsed terms.
+ * @returns {Array<string>}
+ */
+export function getHighlightWords(terms) {
+  return terms.filter(term => term.field === null && !term.negated).map(term => term.value);
+}
+
+/**
+ * Scores an item against a query. Every term must match.
+ * @param {Array<object>} terms - The parsed terms.
+ * @param {Function} matchTerm - Returns whether the item matches an exact term, ignoring negation.
+ * @param {Function} scoreWord - Returns the item's score for a fuzzy word, or null if the word does not match.
+ * @returns {number|null} The sum of the word scores (0 without fuzzy words), or null if the item does not match.
+ */
+export function scoreQuery(terms, matchTerm, scoreWord) {
+  let score = 0;
+  for (const term of terms) {
+    if (isFuzzyTerm(term)) {
+      const wordScore = scoreWord(term.value);
+      if (wordScore === null) return null;
+      score += wordScore;
+    } else if (matchTerm(term) === term.negated) {
+      return null;
+    }
+  }
+  return score;
+}
@@ -0,0 +1,64 @@
+// session-secrets.js
+// Keeps secrets such as the backup passphrase and the WebDAV app password in chrome.storage.session, which the browser clears when it closes.
+// Only when the user chooses to remember a secret on this device is it stored, unencrypted, in chrome.storage.local.
+// A secret found in local storage without that choice (saved by earlier versions) is moved to session storage when read.
+// Session Secrets Component
+
+/**
+ * Reads a secret and whether the user chose to remember it.
+ * @param {string} key - The storage key of the secret, e.g. 'webdavPassword'.
+ * @param {string} rememberKey - The local storage key of the remember choice.
+ * @returns {Promise<{value: string, remember: boolean}>} The secret, or '' if there is none.
+ */
+export async function readSecret(key, rememberKey) {
+  const stored = await new Promise((resolve) => chrome.storage.local.get([key, rememberKey], resolve));
+  const remember = stored[rememberKey] === true;
+  if (remember) {
+    return { value: stored[key] || '', remember };
+  }
+  if (stored[key]) {
+    await saveSecret(key, rememberKey, stored[key], false);
+    return { value: stored[key], remember };
+  }
+  const session = chrome.storage.session
+    ? await new Promise((resolve) => chrome.storage.session.get(key, resolve))
+    : {};
+  return { value: session[key] || '', remember };
+}
+
+/**
+ * Saves a secret for this browser session, or remembered in local storage, and removes it from the other place.
+ * @param {string} key - The storage key of the secret.
+ * @param {string} rememberKey - The local storage key of the remember choice.
+ * @param {string} value - The secret.
+ * @param {boolean} remember - Whether to keep it across browser restarts (stored unencrypted).
+ * @returns {Promise<void>}
+ */
+export async function saveSecret(key, rememberKey, value, remember) {
+  const session = chrome.storage.session;
+  if (remember) {
+    await new Promise((resolve) => chrome.storage.local.set({ [key]: value, [rememberKey]: true }, resolve));
+    if (session) await new Promise((resolve) => session.remove(key, resolve));
+    return;
+  }
+  if (session) await new Promise((resolve) => session.set({ [key]: value }, resolve));
+  await new Promise((resolve) =>
+    chrome.storage.local.set({ [rememberKey]: false }, () => chrome.storage.local.remove(key, resolve))
+  );
+}
+
+/**
+ * Applies a new remember choice, moving an already saved secret to where the choice keeps it.
+ * @param {string} key - The storage key of the secret.
+ * @param {string} rememberKey - The local storage key of the remember choice.
+ * @param {boolean} remember - The new choice.
+ * @returns {Promise<void>}
+ */
+export async function setSecretRemembered(key, rememberKey, remember) {
+  const { value } = await readSecret(key, rememberKey);
+  if (value) {
+    await saveSecret(key, rememberKey, value, remember);
+  } else {
+    await new Promise((resolve) => chrome.storage.local.set({ [rememberKey]: remember }, resolve));
+  }
+}
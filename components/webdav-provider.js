@@ -0,0 +1,155 @@
+// webdav-provider.js
+// Backup provider for WebDAV servers such as Nextcloud and ownCloud, storing each backup document as a JSON file.
+// Uses PUT/GET/DELETE for documents, PROPFIND for listing and MKCOL to create the remote folder when it is missing.
+// Turns HTTP authentication and conflict responses into clear error messages for the Backup tab.
+// WebDAV Provider Component
+
+/**
+ * Encodes credentials for HTTP Basic authentication, supporting non-ASCII characters.
+ * @param {string} username - The WebDAV username.
+ * @param {string} password - The WebDAV (app) password.
+ * @returns {string}
+ */
+function getBasicAuthHeader(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+/**
+ * Throws a descriptive error for a failed WebDAV response.
+ * @param {Response} response - The fetch response.
+ * @param {string} action - What was being done, e.g. 'upload backup'.
+ */
+async function throwWebdavError(response, action) {
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`WebDAV authentication failed (${response.status}) while trying to ${action}. Check the username and app password.`);
+  }
+  if (response.status === 409) {
+    throw new Error(`WebDAV conflict (409) while trying to ${action}. A parent folder of the remote path is missing or a file is in the way.`);
+  }
+  if (response.status === 423) {
+    throw new Error(`WebDAV resource is locked (423) while trying to ${action}. Try again later.`);
+  }
+  const errorText = await response.text();
+  throw new Error(`WebDAV Error (${response.status}) while trying to ${action}: ${errorText || response.statusText}`);
+}
+
+/**
+ * Creates a WebDAV backup provider.
+ * @param {object} config
+ * @param {string} config.serverUrl - The WebDAV root, e.g. https://cloud.example.com/remote.php/dav/files/alice/
+ * @param {string} config.username - The WebDAV username.
+ * @param {string} config.password - The WebDAV app password.
+ * @param {string} [config.remotePath] - Folder below the root holding the backups, e.g. 'Backups/Extmark'.
+ * @returns {import('./backup-providers.js').BackupProvider}
+ */
+export function createWebdavProvider({ serverUrl, username, password, remotePath = '' }) {
+  const rootUrl = serverUrl.replace(/\/+$/, '');
+  const folderSegments = remotePath.split('/').map(segment => segment.trim()).filter(Boolean);
+  const folderUrl = [rootUrl, ...folderSegments.map(encodeURIComponent)].join('/') + '/';
+  const getFileUrl = (key) => `${folderUrl}${encodeURIComponent(key)}.json`;
+  const authHeaders = { 'Authorization': getBasicAuthHeader(username, password) };
+  let folderReady = false;
+
+  // Creates each missing folder of the remote path in turn; MKCOL answers 405 for an existing folder.
+  async function ensureFolder() {
+    if (folderReady) return;
+    let currentUrl = rootUrl;
+    for (const segment of folderSegments) {
+      currentUrl += `/${encodeURIComponent(segment)}`;
+      const response = await fetch(`${currentUrl}/`, {
+        method: 'MKCOL',
+        headers: authHeaders,
+        credentials: 'omit'
+      });
+      if (!response.ok && response.status !== 405) {
+        await throwWebdavError(response, `create the remote folder "${segment}"`);
+      }
+    }
+    folderReady = true;
+  }
+
+  return {
+    id: 'webdav',
+    name: 'WebDAV',
+
+    async save(key, data) {
+      await ensureFolder();
+      const response = await fetch(getFileUrl(key), {
+        method: 'PUT',
+        headers: {
+          ...authHeaders,
+          'Content-Type': 'application/json'
+        },
+        credentials: 'omit',
+        body: JSON.stringify(data)
+      });
+      if (!response.ok) {
+        await throwWebdavError(response, `upload "${key}"`);
+      }
+    },
+
+    async load(key) {
+      const response = await fetch(getFileUrl(key), {
+        method: 'GET',
+        headers: authHeaders,
+        credentials: 'omit',
+        cache: 'no-store'
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        await throwWebdavError(response, `download "${key}"`);
+      }
+      return response.json();
+    },
+
+    async list() {
+      const response = await fetch(folderUrl, {
+        method: 'PROPFIND',
+        headers: {
+          ...authHeaders,
+          'Depth': '1',
+          'Content-Type': 'application/xml'
+        },
+        credentials: 'omit',
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>'
+      });
+      if (response.status === 404) {
+        return [];
+      }
+      if (!response.ok) {
+        await throwWebdavError(response, 'list the remote folder');
+      }
+      // Parsed with a regex because DOMParser is not available in the service worker.
+      const xml = await response.text();
+      const hrefs = [...xml.matchAll(/<(?:[\w-]+:)?href>([^<]*)<\/(?:[\w-]+:)?href>/g)].map(match => match[1]);
+      return hrefs
+        .map(href => decodeURIComponent(href.replace(/\/+$/, '').split('/').pop()))
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length));
+    },
+
+    async delete(key) {
+      const response = await fetch(getFileUrl(key), {
+        method: 'DELETE',
+        headers: authHeaders,
+        credentials: 'omit'
+      });
+      if (!response.ok && response.status !== 404) {
+        await throwWebdavError(response, `delete "${key}"`);
+      }
+    },
+
+    /**
+     * Checks the credentials and creates the remote folder if needed.
+     * @returns {Promise<void>}
+     */
+    async testConnection() {
+      folderReady = false;
+      await ensureFolder();
+      await this.list();
+    }
+  };
+}
@@ -3,15 +3,31 @@
 
 import {
   loadAndDisplayImportedData,
+  fullExtensionList,
   getBrowserInfo,
   filterExtensions,
   filterBookmarks,
-  handlePantryRestore
+  syncBookmarkEdit,
+  forgetExtensions,
+  handleBackupRestore
 } from './components/popup-data.js';
 
 import { exportAllData, importAllData, exportBookmarksAsHtml } from './components/data-handler.js';
-import { initializeBackupFeature } from './components/backup-feature.js';
+import { initializeBackupFeature, initializeBackupEncryption, initializeBackupProviderSelect, initializeWebdavSettings } from './components/backup-feature.js';
 import { switchTab, setupTabButtons } from './components/tab-switcher.js';
+import { initializeDuplicateFinder } from './components/duplicate-finder.js';
+import { initializeLinkChecker } from './components/link-checker.js';
+import { initializeExtensionProfiles } from './components/extension-profiles.js';
+import { initializeExtensionBisect } from './components/extension-bisect.js';
+import { initializeExtensionBulkActions } from './components/extension-bulk-actions.js';
+import { initializeExtensionAudit } from './components/extension-audit.js';
+import { initializeExtensionTimeline } from './components/extension-timeline.js';
+import { initializeReinstallWizard } from './components/reinstall-wizard.js';
+import { refreshExtensionList, onExtensionsForgotten } from './components/extension-display.js';
+import { onBookmarkTreeEdited } from './components/bookmark-display.js';
+
+// Pause in typing after which the bookmark search runs
+const BOOKMARK_SEARCH_DEBOUNCE_MS = 150;
 
 document.addEventListener('DOMContentLoaded', function() {
   // --- DOM Elements ---
@@ -28,7 +44,7 @@ document.addEventListener('DOMContentLoaded', function() {
   // Auto Backup UI elements
   const autoBackupToggle = document.getElementById('auto-backup-toggle');
   const backupIntervalSelect = document.getElementById('backup-interval-select');
-  let autoBackupTimerId = null;
+  const autoBackupLastRunElement = document.getElementById('auto-backup-last-run');
 
   // Search elements
   const extensionSearchInput = document.getElementById('extension-search-input');
@@ -106,7 +122,41 @@ document.addEventListener('DOMContentLoaded', function() {
   const savePantryIdButton = document.getElementById('save-pantry-id-button');
   const manualBackupButton = document.getElementById('manual-backup-button');
   if (pantryIdInput && savePantryIdButton && manualBackupButton) {
-    initializeBackupFeature(pantryIdInput, savePantryIdButton, manualBackupButton, currentBrowserName);
+    initializeBackupFeature(pantryIdInput, savePantryIdButton, manualBackupButton, currentBrowserName, {
+      snapshotList: document.getElementById('snapshot-list'),
+      refreshButton: document.getElementById('refresh-snapshots-button'),
+      retentionSelect: document.getElementById('snapshot-retention-select'),
+      onRestoreSnapshot: (button, snapshotName) =>
+        handleBackupRestore(button, extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName, snapshotName)
+    });
+  }
+
+  // --- Backup Target ---
+  const backupProviderSelect = document.getElementById('backup-provider-select');
+  if (backupProviderSelect) {
+    initializeBackupProviderSelect(backupProviderSelect, document.querySelectorAll('.provider-settings'));
+  }
+  const saveWebdavButton = document.getElementById('save-webdav-button');
+  if (saveWebdavButton) {
+    initializeWebdavSettings({
+      urlInput: document.getElementById('webdav-url-input'),
+      usernameInput: document.getElementById('webdav-username-input'),
+      passwordInput: document.getElementById('webdav-password-input'),
+      pathInput: document.getElementById('webdav-path-input'),
+      saveButton: saveWebdavButton,
+      rememberToggle: document.getElementById('webdav-remember-password-toggle')
+    });
+  }
+
+  // --- Backup Encryption ---
+  const backupEncryptionToggle = document.getElementById('backup-encryption-toggle');
+  const backupPassphraseInput = document.getElementById('backup-passphrase-input');
+  const savePassphraseButton = document.getElementById('save-passphrase-button');
+  if (backupEncryptionToggle && backupPassphraseInput && savePassphraseButton) {
+    initializeBackupEncryption(
+      backupEncryptionToggle, backupPassphraseInput, savePassphraseButton,
+      document.getElementById('remember-passphrase-toggle')
+    );
   }
 
   // --- Export/Import Buttons ---
@@ -126,37 +176,181 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   // --- Search Listeners ---
+  // Shows a query syntax error under the search box, or clears it
+  function showSearchError(input, errorElement, error) {
+    input.classList.toggle('invalid', !!error);
+    if (errorElement) {
+      errorElement.textContent = error || '';
+      errorElement.classList.toggle('hidden', !error);
+    }
+  }
+  const extensionSearchError = document.getElementById('extension-search-error');
+  const bookmarkSearchError = document.getElementById('bookmark-search-error');
+  const runExtensionSearch = () => showSearchError(
+    extensionSearchInput, extensionSearchError,
+    filterExtensions(extensionSearchInput.value, extensionList, currentBrowserName)
+  );
+  const bookmarkResultsMode = document.getElementById('bookmark-results-mode');
+  const runBookmarkSearch = () => showSearchError(
+    bookmarkSearchInput, bookmarkSearchError,
+    filterBookmarks(bookmarkSearchInput.value, bookmarksTreeContainer, bookmarkResultsMode ? bookmarkResultsMode.value : 'tree')
+  );
+
   if (extensionSearchInput) {
-    extensionSearchInput.addEventListener('input', (e) =>
-      filterExtensions(e.target.value, extensionList, currentBrowserName)
-    );
+    extensionSearchInput.addEventListener('input', runExtensionSearch);
     extensionSearchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         e.preventDefault();
-        filterExtensions(e.target.value, extensionList, currentBrowserName);
+        runExtensionSearch();
       }
     });
   }
   if (extensionSearchButton) {
-    extensionSearchButton.addEventListener('click', () =>
-      filterExtensions(extensionSearchInput.value, extensionList, currentBrowserName)
-    );
+    extensionSearchButton.addEventListener('click', runExtensionSearch);
   }
+  // Typing filters after a short pause; Enter and the search button filter right away
+  let bookmarkSearchTimer = null;
   if (bookmarkSearchInput) {
-    bookmarkSearchInput.addEventListener('input', (e) =>
-      filterBookmarks(e.target.value, bookmarksTreeContainer)
-    );
+    bookmarkSearchInput.addEventListener('input', () => {
+      clearTimeout(bookmarkSearchTimer);
+      bookmarkSearchTimer = setTimeout(runBookmarkSearch, BOOKMARK_SEARCH_DEBOUNCE_MS);
+    });
     bookmarkSearchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         e.preventDefault();
-        filterBookmarks(e.target.value, bookmarksTreeContainer);
+        clearTimeout(bookmarkSearchTimer);
+        runBookmarkSearch();
       }
     });
   }
   if (bookmarkSearchButton) {
-    bookmarkSearchButton.addEventListener('click', () =>
-      filterBookmarks(bookmarkSearchInput.value, bookmarksTreeContainer)
-    );
+    bookmarkSearchButton.addEventListener('click', () => {
+      clearTimeout(bookmarkSearchTimer);
+      runBookmarkSearch();
+    });
+  }
+  if (bookmarkResultsMode) {
+    bookmarkResultsMode.addEventListener('change', () => {
+      clearTimeout(bookmarkSearchTimer);
+      runBookmarkSearch();
+    });
+  }
+  // Edits in the tree are already in the browser; the search results and the stored copy follow
+  onBookmarkTreeEdited((edit) => {
+    const saved = syncBookmarkEdit(edit);
+    runBookmarkSearch();
+    saved.catch(err => alert(`The bookmark was changed in the browser, but the stored copy could not be updated: ${err.message}`));
+  });
+
+  // --- Extension Profiles ---
+  const profileSelect = document.getElementById('profile-select');
+  if (profileSelect) {
+    initializeExtensionProfiles({
+      select: profileSelect,
+      applyButton: document.getElementById('apply-profile-button'),
+      saveButton: document.getElementById('save-profile-button'),
+      deleteButton: document.getElementById('delete-profile-button')
+    }, refreshExtensionList);
+  }
+
+  // --- Extension Bulk Actions ---
+  // Extensions removed from the stored list must not come back with the next search or re-render
+  onExtensionsForgotten(forgetExtensions);
+  const bulkActionButton = document.getElementById('bulk-action-button');
+  if (bulkActionButton) {
+    initializeExtensionBulkActions({
+      selectAllCheckbox: document.getElementById('select-all-extensions'),
+      selectFilteredButton: document.getElementById('select-filtered-extensions'),
+      countLabel: document.getElementById('bulk-selection-count'),
+      actionSelect: document.getElementById('bulk-action-select'),
+      runButton: bulkActionButton,
+      progress: document.getElementById('bulk-action-progress')
+    }, () => fullExtensionList, () => currentBrowserName);
+  }
+
+  // --- Extension Audit, Timeline and Reinstall Wizard ---
+  // These views replace the extension list; each hides the others while open
+  const auditView = document.getElementById('audit-view');
+  const timelineView = document.getElementById('timeline-view');
+  const reinstallView = document.getElementById('reinstall-view');
+  const extensionListViews = [extensionList, document.getElementById('extension-bulk-bar'), auditView, timelineView, reinstallView].filter(Boolean);
+  const auditButton = document.getElementById('audit-extensions-button');
+  if (auditButton) {
+    initializeExtensionAudit({
+      openButton: auditButton,
+      view: auditView,
+      results: document.getElementById('audit-results'),
+      sortSelect: document.getElementById('audit-sort-select'),
+      exportCsvButton: document.getElementById('export-audit-csv-button'),
+      exportJsonButton: document.getElementById('export-audit-json-button'),
+      closeButton: document.getElementById('close-audit-button'),
+      hiddenWhileOpen: extensionListViews
+    });
+  }
+  const timelineButton = document.getElementById('timeline-extensions-button');
+  if (timelineButton) {
+    initializeExtensionTimeline({
+      openButton: timelineButton,
+      view: timelineView,
+      results: document.getElementById('timeline-results'),
+      extensionSelect: document.getElementById('timeline-extension-select'),
+      fromInput: document.getElementById('timeline-from-input'),
+      toInput: document.getElementById('timeline-to-input'),
+      clearButton: document.getElementById('clear-timeline-button'),
+      closeButton: document.getElementById('close-timeline-button'),
+      hiddenWhileOpen: extensionListViews
+    });
+  }
+  const reinstallButton = document.getElementById('reinstall-extensions-button');
+  if (reinstallButton) {
+    initializeReinstallWizard({
+      openButton: reinstallButton,
+      view: reinstallView,
+      results: document.getElementById('reinstall-results'),
+      nextButton: document.getElementById('reinstall-next-button'),
+      batchButton: document.getElementById('reinstall-batch-button'),
+      batchSizeSelect: document.getElementById('reinstall-batch-size'),
+      resetButton: document.getElementById('reinstall-reset-button'),
+      closeButton: document.getElementById('close-reinstall-button'),
+      hiddenWhileOpen: extensionListViews
+    }, () => fullExtensionList, () => currentBrowserName,
+    () => loadAndDisplayImportedData(extensionList, bookmarksTreeContainer, null, currentBrowserName));
+  }
+
+  // --- Extension Bisect ---
+  const bisectStartButton = document.getElementById('bisect-start-button');
+  if (bisectStartButton) {
+    initializeExtensionBisect({
+      startButton: bisectStartButton,
+      panel: document.getElementById('bisect-panel'),
+      yesButton: document.getElementById('bisect-yes-button'),
+      noButton: document.getElementById('bisect-no-button'),
+      stopButton: document.getElementById('bisect-stop-button')
+    }, refreshExtensionList);
+  }
+
+  // --- Duplicate Finder ---
+  const findDuplicatesButton = document.getElementById('find-duplicates-button');
+  if (findDuplicatesButton) {
+    initializeDuplicateFinder({
+      findButton: findDuplicatesButton,
+      view: document.getElementById('duplicates-view'),
+      results: document.getElementById('duplicates-results'),
+      closeButton: document.getElementById('close-duplicates-button'),
+      bookmarksTreeContainer
+    }, () => loadAndDisplayImportedData(extensionList, bookmarksTreeContainer, null, currentBrowserName));
+  }
+
+  // --- Link Checker ---
+  const checkLinksButton = document.getElementById('check-links-button');
+  if (checkLinksButton) {
+    initializeLinkChecker({
+      checkButton: checkLinksButton,
+      view: document.getElementById('link-check-view'),
+      results: document.getElementById('link-check-results'),
+      closeButton: document.getElementById('close-link-check-button'),
+      bookmarksTreeContainer
+    }, () => loadAndDisplayImportedData(extensionList, bookmarksTreeContainer, null, currentBrowserName));
   }
 
   // --- Import File Input ---
@@ -174,56 +368,42 @@ document.addEventListener('DOMContentLoaded', function() {
     event.target.value = null;
   });
 
-  // --- Pantry Restore Button ---
+  // --- Restore Latest Button ---
   if (restorePantryButton) {
     restorePantryButton.addEventListener('click', () =>
-      handlePantryRestore(restorePantryButton, extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName)
+      handleBackupRestore(restorePantryButton, extensionList, bookmarksTreeContainer, switchTabWrapper, currentBrowserName)
     );
   }
   // --- Auto Backup Logic ---
-  // Import the backup handler dynamically to avoid circular dependency
-  let performManualBackupHandler = null;
-  import('./components/backup-handler.js').then(mod => {
-    performManualBackupHandler = mod.performManualBackup;
-  });
+  // Backups themselves run in the background service worker (background.js), which
+  // reschedules its alarm whenever these settings change in storage.
 
-  // Helper to start auto backup timer
-  function startAutoBackup(interval, browserName) {
-    if (autoBackupTimerId) clearInterval(autoBackupTimerId);
-    autoBackupTimerId = setInterval(async () => {
-      if (performManualBackupHandler) {
-        const result = await performManualBackupHandler(browserName);
-        // Optionally show status in UI
-        const statusElem = document.getElementById('backup-status');
-        if (statusElem) {
-          statusElem.textContent = result.success ? 'Auto backup successful!' : result.message;
-          statusElem.style.color = result.success ? '#1a7f37' : '#b91c1c';
-          statusElem.style.fontWeight = 'bold';
-          statusElem.style.marginTop = '10px';
-        }
-      }
-    }, interval);
-  }
+  // The service worker cannot detect the browser itself, so record it for auto backups.
+  chrome.storage.local.set({ currentBrowserName });
 
-  // Helper to stop auto backup timer
-  function stopAutoBackup() {
-    if (autoBackupTimerId) {
-      clearInterval(autoBackupTimerId);
-      autoBackupTimerId = null;
+  // Show when the last auto backup ran and how it went
+  function displayAutoBackupLastRun(lastRun) {
+    if (!autoBackupLastRunElement) return;
+    if (!lastRun) {
+      autoBackupLastRunElement.textContent = 'Last auto backup: never';
+      autoBackupLastRunElement.style.color = '';
+      return;
     }
+    const runTime = new Date(lastRun.timestamp).toLocaleString();
+    autoBackupLastRunElement.textContent = lastRun.success
+      ? `Last auto backup: ${runTime} (successful)`
+      : `Last auto backup: ${runTime} (failed) - ${lastRun.message}`;
+    autoBackupLastRunElement.style.color = lastRun.success ? '#1a7f37' : '#b91c1c';
   }
 
   // Load auto backup settings from storage
   function loadAutoBackupSettings() {
-    chrome.storage.local.get(['autoBackupEnabled', 'autoBackupInterval'], (result) => {
+    chrome.storage.local.get(['autoBackupEnabled', 'autoBackupInterval', 'autoBackupLastRun'], (result) => {
       const enabled = result.autoBackupEnabled ?? false;
       const interval = result.autoBackupInterval ?? 300000; // default 5 min
       if (autoBackupToggle) autoBackupToggle.checked = enabled;
       if (backupIntervalSelect) backupIntervalSelect.value = String(interval);
-
-      if (enabled && performManualBackupHandler) {
-        startAutoBackup(interval, currentBrowserName);
-      }
+      displayAutoBackupLastRun(result.autoBackupLastRun);
     });
   }
 
@@ -237,30 +417,20 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Event listeners for auto backup controls
   if (autoBackupToggle && backupIntervalSelect) {
-    autoBackupToggle.addEventListener('change', () => {
-      const enabled = autoBackupToggle.checked;
-      const interval = Number(backupIntervalSelect.value);
-      saveAutoBackupSettings(enabled, interval);
-      if (enabled) {
-        startAutoBackup(interval, currentBrowserName);
-      } else {
-        stopAutoBackup();
-      }
-    });
-
-    backupIntervalSelect.addEventListener('change', () => {
-      const enabled = autoBackupToggle.checked;
-      const interval = Number(backupIntervalSelect.value);
-      saveAutoBackupSettings(enabled, interval);
-      if (enabled) {
-        startAutoBackup(interval, currentBrowserName);
-      } else {
-        stopAutoBackup();
-      }
-    });
+    const handleAutoBackupSettingsChange = () => {
+      saveAutoBackupSettings(autoBackupToggle.checked, Number(backupIntervalSelect.value));
+    };
+    autoBackupToggle.addEventListener('change', handleAutoBackupSettingsChange);
+    backupIntervalSelect.addEventListener('change', handleAutoBackupSettingsChange);
   }
 
-  // On load, restore settings and start timer if needed
-  setTimeout(loadAutoBackupSettings, 300); // Delay to ensure handler is loaded
+  // Refresh the last run display if a backup completes while the popup is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.autoBackupLastRun) {
+      displayAutoBackupLastRun(changes.autoBackupLastRun.newValue);
+    }
+  });
+
+  loadAutoBackupSettings();
 
 });
\ No newline at end of file